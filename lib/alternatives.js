@@ -0,0 +1,83 @@
+/**
+ * Exercise alternatives
+ * Ranks substitutes for an exercise by how closely they train the same thing.
+ * A substitute trains the same muscle with the same movement pattern (just the
+ * same muscle when the exercise has no pattern tag); candidates are then
+ * ranked by mechanic, force, difficulty and equipment.
+ */
+const { tagsOf } = require('./tags');
+const { normalizeEquipment } = require('./equipment');
+
+const difficultyLevels = ['beginner', 'intermediate', 'advanced'];
+
+/**
+ * Similarity of a candidate to the exercise being replaced
+ * Returns { score, reasons }; score 0 means it is not a substitute
+ */
+function similarity(exercise, candidate) {
+    const original = tagsOf(exercise);
+    const tags = tagsOf(candidate);
+
+    // A squat is no substitute for a leg curl just because both train legs
+    if (candidate.muscle !== exercise.muscle || (original.pattern && tags.pattern !== original.pattern)) {
+        return { score: 0, reasons: [] };
+    }
+
+    let score = 40;
+    const reasons = [`same muscle (${exercise.muscle})`];
+
+    if (original.pattern) {
+        score += 30;
+        reasons.push(`same movement pattern (${original.pattern})`);
+    }
+    if (original.mechanic && tags.mechanic === original.mechanic) {
+        score += 10;
+        reasons.push(`also ${original.mechanic}`);
+    }
+    if (original.force && tags.force === original.force) {
+        score += 10;
+        reasons.push(`same force (${original.force})`);
+    }
+    if (tags.unilateral === original.unilateral && tags.plyometric === original.plyometric) {
+        score += 5;
+    }
+
+    const gap = Math.abs(difficultyLevels.indexOf(candidate.difficulty) - difficultyLevels.indexOf(exercise.difficulty));
+    score -= gap * 5;
+    if (gap === 0) {
+        reasons.push(`same difficulty (${exercise.difficulty})`);
+    }
+
+    const before = normalizeEquipment(exercise.equipment).join();
+    if (normalizeEquipment(candidate.equipment).join() === before) {
+        score += 5;
+        reasons.push('same equipment');
+    }
+
+    return { score: Math.max(1, score), reasons };
+}
+
+/**
+ * Candidates ranked as substitutes for `exercise`, best first
+ * Options:
+ *   - exclude: IDs never to suggest (the exercise itself is always excluded)
+ *   - filter: extra predicate for constraints such as equipment or difficulty
+ * Each result is the catalog exercise plus { similarity, reasons }
+ */
+function rankAlternatives(exercise, candidates, { exclude = [], filter = () => true } = {}) {
+    return candidates
+        .filter(candidate => candidate.id !== exercise.id && !exclude.includes(candidate.id) && filter(candidate))
+        .map(candidate => ({ candidate, ...similarity(exercise, candidate) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || a.candidate.name.localeCompare(b.candidate.name))
+        .map(({ candidate, score, reasons }) => ({ ...candidate, similarity: score, reasons }));
+}
+
+/**
+ * Whether `difficulty` is at or below `maxDifficulty`
+ */
+function withinDifficulty(difficulty, maxDifficulty) {
+    return difficultyLevels.indexOf(difficulty) <= difficultyLevels.indexOf(maxDifficulty);
+}
+
+module.exports = { difficultyLevels, rankAlternatives, withinDifficulty };
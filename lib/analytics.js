@@ -0,0 +1,187 @@
+/**
+ * Training analytics
+ * Aggregates logged workouts over a date range: totals, weekly sets and volume
+ * per muscle group, training frequency, streaks and the push/pull balance.
+ * Weeks start on Monday (UTC); volume is reps x weight, computed in kg.
+ */
+const { tagsOf } = require('./tags');
+const { convertWeight } = require('./progress');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Push/pull set ratio considered balanced
+const balancedRatio = { min: 0.8, max: 1.25 };
+
+const round1 = value => Math.round(value * 10) / 10;
+const dayKey = date => date.toISOString().slice(0, 10);
+
+/**
+ * Monday of the week a date falls in, at 00:00 UTC
+ */
+function weekStart(date) {
+    const day = new Date(`${dayKey(date)}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day;
+}
+
+const emptyTotals = () => ({ sets: 0, reps: 0, volume: 0 });
+
+/**
+ * Completed sets of one history entry, with the muscle and force of each exercise
+ * Returns [{ muscle, force, reps, volume, seconds }], volume in kg
+ */
+function completedSets(entry, catalog) {
+    return (Array.isArray(entry.exercises) ? entry.exercises : [])
+        .filter(logged => logged && Array.isArray(logged.sets))
+        .flatMap(logged => {
+            const exercise = catalog.find(ex => ex.id === logged.id);
+            const muscle = logged.muscle || (exercise && exercise.muscle) || null;
+            const force = exercise ? tagsOf(exercise).force : null;
+            return logged.sets
+                .filter(set => set && set.completed !== false)
+                .map(set => ({
+                    muscle,
+                    force,
+                    reps: set.reps || 0,
+                    volume: (set.reps || 0) * convertWeight(set.weight || 0, set.unit || 'kg', 'kg'),
+                    seconds: (set.duration === null || set.duration === undefined
+                        ? (exercise && exercise.duration) || 30
+                        : set.duration) + (set.rest || 0)
+                }));
+        });
+}
+
+/**
+ * Longest run of consecutive active keys, and the current run: the one ending
+ * at the last key, or the key before it so a day or week in progress does not
+ * break the streak
+ */
+function streaks(activeKeys, allKeys) {
+    let longest = 0;
+    let run = 0;
+    allKeys.forEach(key => {
+        run = activeKeys.has(key) ? run + 1 : 0;
+        longest = Math.max(longest, run);
+    });
+
+    let current = 0;
+    let i = allKeys.length - 1;
+    if (i >= 0 && !activeKeys.has(allKeys[i])) i--;
+    while (i >= 0 && activeKeys.has(allKeys[i])) {
+        current++;
+        i--;
+    }
+    return { current, longest };
+}
+
+/**
+ * Analyze the history entries logged between `from` and `to` (inclusive days)
+ * Options:
+ *   - from, to: Date at 00:00 UTC
+ *   - catalog: exercises to look up muscles and force tags
+ *   - muscles: muscle groups to report (all of them, even untrained)
+ *   - unit: kg | lb for volume (default: kg)
+ */
+function analyzeHistory(history, { from, to, catalog, muscles, unit = 'kg' }) {
+    const end = new Date(to.getTime() + DAY_MS);
+    const entries = history
+        .filter(entry => {
+            const date = new Date(entry.timestamp);
+            return date >= from && date < end;
+        })
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const inUnit = kg => round1(convertWeight(kg, 'kg', unit));
+
+    // Every day and week of the range, so gaps show up
+    const days = [];
+    for (let day = new Date(from); day < end; day = new Date(day.getTime() + DAY_MS)) {
+        days.push(dayKey(day));
+    }
+    const weeks = [];
+    for (let week = weekStart(from); week < end; week = new Date(week.getTime() + 7 * DAY_MS)) {
+        weeks.push(dayKey(week));
+    }
+
+    const weekly = new Map(weeks.map(week => [week, {
+        week,
+        workouts: 0,
+        ...emptyTotals(),
+        muscles: Object.fromEntries(muscles.map(muscle => [muscle, emptyTotals()]))
+    }]));
+    const totals = { workouts: entries.length, ...emptyTotals(), minutes: 0, estimatedCalories: 0 };
+    const perMuscle = Object.fromEntries(muscles.map(muscle => [muscle, emptyTotals()]));
+    const balance = { push: emptyTotals(), pull: emptyTotals() };
+    const byWeekday = Object.fromEntries(weekdays.map(day => [day, 0]));
+    const activeDays = new Set();
+    const activeWeeks = new Set();
+
+    entries.forEach(entry => {
+        const date = new Date(entry.timestamp);
+        const week = weekly.get(dayKey(weekStart(date)));
+        const sets = completedSets(entry, catalog);
+
+        activeDays.add(dayKey(date));
+        activeWeeks.add(week.week);
+        byWeekday[weekdays[date.getUTCDay()]]++;
+        week.workouts++;
+
+        // Logged duration when given, else the time of the completed sets and their rest
+        totals.minutes += typeof entry.duration === 'number'
+            ? entry.duration
+            : sets.reduce((sum, set) => sum + set.seconds, 0) / 60;
+        totals.estimatedCalories += entry.estimatedCalories || 0;
+
+        sets.forEach(set => {
+            const targets = [totals, week];
+            if (perMuscle[set.muscle]) targets.push(perMuscle[set.muscle], week.muscles[set.muscle]);
+            if (balance[set.force]) targets.push(balance[set.force]);
+            targets.forEach(target => {
+                target.sets++;
+                target.reps += set.reps;
+                target.volume += set.volume;
+            });
+        });
+    });
+
+    const withVolume = item => ({ ...item, volume: inUnit(item.volume) });
+    const ratio = balance.pull.sets > 0 ? Math.round(balance.push.sets / balance.pull.sets * 100) / 100 : null;
+
+    return {
+        range: { from: dayKey(from), to: dayKey(to), days: days.length, weeks: weeks.length },
+        unit,
+        totals: {
+            ...withVolume(totals),
+            minutes: Math.round(totals.minutes),
+            estimatedCalories: Math.round(totals.estimatedCalories)
+        },
+        frequency: {
+            workoutsPerWeek: round1(entries.length / weeks.length),
+            trainingDays: activeDays.size,
+            byWeekday
+        },
+        streaks: {
+            days: streaks(activeDays, days),
+            weeks: streaks(activeWeeks, weeks)
+        },
+        muscles: Object.fromEntries(Object.entries(perMuscle).map(([muscle, item]) => [muscle, {
+            ...withVolume(item),
+            setsPerWeek: round1(item.sets / weeks.length)
+        }])),
+        weekly: [...weekly.values()].map(week => ({
+            ...withVolume(week),
+            muscles: Object.fromEntries(Object.entries(week.muscles).map(([muscle, item]) => [muscle, withVolume(item)]))
+        })),
+        balance: {
+            push: withVolume(balance.push),
+            pull: withVolume(balance.pull),
+            ratio,
+            status: ratio === null
+                ? (balance.push.sets > 0 ? 'push-only' : 'no-data')
+                : ratio < balancedRatio.min ? 'pull-dominant' : ratio > balancedRatio.max ? 'push-dominant' : 'balanced'
+        }
+    };
+}
+
+module.exports = { analyzeHistory };
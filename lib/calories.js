@@ -0,0 +1,101 @@
+/**
+ * Calorie estimates from MET values
+ * kcal = MET x 3.5 x body weight (kg) / 200 x minutes (the ACSM formula).
+ * Exercises and warm-ups carry a MET in data.json; custom exercises without
+ * one get an estimate from their tags. Rest between sets and intervals counts
+ * at REST_MET, static stretching at STRETCH_MET.
+ */
+const { tagsOf } = require('./tags');
+const { KG_PER_LB } = require('./progress');
+
+const DEFAULT_BODY_WEIGHT_KG = 70;
+const REST_MET = 1.5;
+const STRETCH_MET = 2.3;
+const FORMULA = 'kcal = MET x 3.5 x bodyWeightKg / 200 x minutes';
+
+// Fallback METs for exercises without one
+const estimatedMets = { plyometric: 8, compound: 5, isolation: 3.5, default: 4 };
+
+/**
+ * MET of an exercise or warm-up
+ */
+function metOf(item) {
+    if (typeof item.met === 'number' && item.met > 0) {
+        return item.met;
+    }
+    const { mechanic, plyometric } = tagsOf(item);
+    if (plyometric) return estimatedMets.plyometric;
+    return estimatedMets[mechanic] || estimatedMets.default;
+}
+
+/**
+ * Calories burned at a MET for a number of seconds, to one decimal
+ */
+function caloriesFor(met, bodyWeightKg, seconds) {
+    return Math.round(met * 3.5 * bodyWeightKg / 200 * (seconds / 60) * 10) / 10;
+}
+
+/**
+ * Body weight in kg from an explicit value, the user's profile or the default
+ * Returns { bodyWeightKg, source: 'request' | 'profile' | 'default' }
+ */
+function resolveBodyWeight(value, unit, user) {
+    if (typeof value === 'number' && value > 0) {
+        const kg = unit === 'lb' ? value * KG_PER_LB : value;
+        return { bodyWeightKg: Math.round(kg * 10) / 10, source: 'request' };
+    }
+    if (user && typeof user.bodyWeightKg === 'number') {
+        return { bodyWeightKg: user.bodyWeightKg, source: 'profile' };
+    }
+    return { bodyWeightKg: DEFAULT_BODY_WEIGHT_KG, source: 'default' };
+}
+
+/**
+ * Calories for the sets of one exercise
+ * sets: [{ seconds, restSeconds }] of work actually done
+ * Returns { met, workSeconds, restSeconds, calories }
+ */
+function exerciseCalories(exercise, sets, bodyWeightKg) {
+    const met = metOf(exercise);
+    const workSeconds = sets.reduce((sum, set) => sum + set.seconds, 0);
+    const restSeconds = sets.reduce((sum, set) => sum + (set.restSeconds || 0), 0);
+
+    return {
+        met,
+        workSeconds,
+        restSeconds,
+        calories: Math.round((caloriesFor(met, bodyWeightKg, workSeconds) +
+            caloriesFor(REST_MET, bodyWeightKg, restSeconds)) * 10) / 10
+    };
+}
+
+/**
+ * Calories for an exercise done as prescribed: sets x duration, with rest between sets
+ */
+function prescribedCalories(exercise, restSeconds, bodyWeightKg) {
+    const setCount = exercise.sets || 3;
+    const sets = Array.from({ length: setCount }, (_, i) => ({
+        seconds: exercise.duration || 30,
+        restSeconds: i < setCount - 1 ? restSeconds : 0
+    }));
+    return exerciseCalories(exercise, sets, bodyWeightKg);
+}
+
+/**
+ * How an estimate was made, for the `calories` block of responses
+ */
+function describeEstimate({ bodyWeightKg, source }) {
+    return { formula: FORMULA, bodyWeightKg, bodyWeightSource: source, restMet: REST_MET };
+}
+
+module.exports = {
+    DEFAULT_BODY_WEIGHT_KG,
+    REST_MET,
+    STRETCH_MET,
+    metOf,
+    caloriesFor,
+    resolveBodyWeight,
+    exerciseCalories,
+    prescribedCalories,
+    describeEstimate
+};
@@ -0,0 +1,118 @@
+/**
+ * Equipment vocabulary
+ * Exercise equipment is stored as free text ("dumbbells, incline bench").
+ * These helpers map it onto canonical IDs so it can be matched against the
+ * gear a user actually has.
+ */
+
+// Canonical equipment with the spellings that map onto it
+const equipmentCatalog = [
+    { id: 'barbell', name: 'Barbell', category: 'free weights', aliases: ['barbells', 'olympic bar'] },
+    { id: 'dumbbells', name: 'Dumbbells', category: 'free weights', aliases: ['dumbbell', 'db', 'dbs'] },
+    { id: 'ez-bar', name: 'EZ Bar', category: 'free weights', aliases: ['ez bar', 'ez curl bar', 'curl bar'] },
+    { id: 'trap-bar', name: 'Trap Bar', category: 'free weights', aliases: ['trap bar', 'hex bar'] },
+    { id: 'weight-plates', name: 'Weight Plates', category: 'free weights', aliases: ['weight plates', 'plates', 'plate'] },
+    { id: 'bench', name: 'Flat Bench', category: 'benches', aliases: ['flat bench', 'benches'] },
+    { id: 'incline-bench', name: 'Incline Bench', category: 'benches', aliases: ['incline bench'] },
+    { id: 'decline-bench', name: 'Decline Bench', category: 'benches', aliases: ['decline bench'] },
+    { id: 'adjustable-bench', name: 'Adjustable Bench', category: 'benches', aliases: ['adjustable bench'], provides: ['bench', 'incline-bench', 'decline-bench'] },
+    { id: 'preacher-bench', name: 'Preacher Bench', category: 'benches', aliases: ['preacher bench', 'preacher curl bench'] },
+    { id: 'squat-rack', name: 'Squat Rack', category: 'racks & bars', aliases: ['squat rack', 'power rack', 'rack'] },
+    { id: 'pull-up-bar', name: 'Pull-up Bar', category: 'racks & bars', aliases: ['pull-up bar', 'pullup bar', 'chin-up bar'] },
+    { id: 'dip-bars', name: 'Dip Bars', category: 'racks & bars', aliases: ['dip bars', 'dip station', 'parallel bars'] },
+    { id: 'landmine', name: 'Landmine', category: 'racks & bars', aliases: ['landmine attachment'] },
+    { id: 'cable-machine', name: 'Cable Machine', category: 'machines', aliases: ['cable machine', 'cables', 'cable', 'cable station'] },
+    { id: 'rope', name: 'Rope Attachment', category: 'machines', aliases: ['rope attachment', 'cable rope'] },
+    { id: 't-bar-machine', name: 'T-Bar Row Machine', category: 'machines', aliases: ['t-bar machine', 't-bar row'] },
+    { id: 'leg-press-machine', name: 'Leg Press Machine', category: 'machines', aliases: ['leg press machine', 'leg press'] },
+    { id: 'leg-curl-machine', name: 'Leg Curl Machine', category: 'machines', aliases: ['leg curl machine'] },
+    { id: 'leg-extension-machine', name: 'Leg Extension Machine', category: 'machines', aliases: ['leg extension machine'] },
+    { id: 'pec-deck-machine', name: 'Pec Deck Machine', category: 'machines', aliases: ['pec deck machine', 'pec deck'] },
+    { id: 'seated-calf-machine', name: 'Seated Calf Machine', category: 'machines', aliases: ['seated calf machine'] },
+    { id: 'hack-squat-machine', name: 'Hack Squat Machine', category: 'machines', aliases: ['hack squat machine'] },
+    { id: 'shoulder-press-machine', name: 'Shoulder Press Machine', category: 'machines', aliases: ['shoulder press machine'] },
+    { id: 'plyo-box', name: 'Plyo Box', category: 'accessories', aliases: ['plyo box', 'box', 'jump box'] },
+    { id: 'ab-wheel', name: 'Ab Wheel', category: 'accessories', aliases: ['ab wheel', 'ab roller'] }
+];
+
+// Bodyweight only - an exercise needing "none" fits any set of gear
+const BODYWEIGHT = 'none';
+
+/**
+ * Normalize a single equipment token to lower-case, dash-separated form
+ */
+function slugify(token) {
+    return token.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+// alias/slug -> canonical ID lookup
+const aliasIndex = new Map();
+equipmentCatalog.forEach(item => {
+    [item.id, item.name, ...item.aliases].forEach(alias => {
+        aliasIndex.set(slugify(alias), item.id);
+    });
+});
+
+/**
+ * Resolve one token to its canonical ID (null for bodyweight, undefined if unknown)
+ */
+function resolveEquipment(token) {
+    const slug = slugify(token);
+    if (!slug || slug === BODYWEIGHT || slug === 'bodyweight') {
+        return null;
+    }
+    return aliasIndex.get(slug);
+}
+
+/**
+ * Canonical equipment IDs an exercise requires
+ * Unknown items keep their slug so they are never silently treated as satisfied
+ */
+function normalizeEquipment(equipmentText) {
+    const ids = String(equipmentText || '')
+        .split(',')
+        .map(token => {
+            const id = resolveEquipment(token);
+            return id === undefined ? slugify(token) : id;
+        })
+        .filter(Boolean);
+    return [...new Set(ids)];
+}
+
+/**
+ * Parse an "available equipment" query value (e.g. "dumbbells,bench" or "none")
+ * Returns { available: Set, unknown: [] } including gear implied by what was listed
+ */
+function parseAvailableEquipment(param) {
+    const available = new Set();
+    const unknown = [];
+
+    String(param).split(',').forEach(token => {
+        if (!token.trim()) return;
+        const id = resolveEquipment(token);
+        if (id === undefined) {
+            unknown.push(token.trim());
+        } else if (id !== null) {
+            available.add(id);
+            const item = equipmentCatalog.find(e => e.id === id);
+            (item.provides || []).forEach(implied => available.add(implied));
+        }
+    });
+
+    return { available, unknown };
+}
+
+/**
+ * Check whether every piece of an exercise's equipment is available
+ */
+function hasRequiredEquipment(exercise, available) {
+    return normalizeEquipment(exercise.equipment).every(id => available.has(id));
+}
+
+module.exports = {
+    equipmentCatalog,
+    BODYWEIGHT,
+    normalizeEquipment,
+    parseAvailableEquipment,
+    hasRequiredEquipment
+};
@@ -0,0 +1,49 @@
+/**
+ * Error responses
+ * Every error the API returns has the same shape:
+ *   { error: message, code, status, details? }
+ * where code is a stable machine-readable name for the status and details
+ * holds route-specific extras such as validOptions or a list of errors.
+ */
+
+const errorCodes = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    405: 'method_not_allowed',
+    406: 'not_acceptable',
+    409: 'conflict',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    429: 'too_many_requests',
+    500: 'internal_error'
+};
+
+/**
+ * Build an error response body
+ */
+function errorBody(status, message, details) {
+    return {
+        error: message,
+        code: errorCodes[status] || (status >= 500 ? 'internal_error' : 'bad_request'),
+        status,
+        ...(details && Object.keys(details).length > 0 && { details })
+    };
+}
+
+/**
+ * Error for the { error: { status, body } } results returned by resolve* helpers
+ */
+function apiError(status, message, details) {
+    return { status, body: errorBody(status, message, details) };
+}
+
+/**
+ * Send an error response
+ */
+function sendError(res, status, message, details) {
+    return res.status(status).json(errorBody(status, message, details));
+}
+
+module.exports = { errorCodes, errorBody, apiError, sendError };
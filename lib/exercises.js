@@ -0,0 +1,101 @@
+/**
+ * Custom exercise fields
+ * Normalizes the body of POST, PUT and PATCH /exercises (its shape is checked
+ * against the OpenAPI schema by lib/validation) and checks names against the
+ * caller's catalog for duplicates.
+ */
+const { defaultTags, normalizeTags } = require('./tags');
+
+const validMuscles = ['chest', 'back', 'legs', 'shoulders', 'arms', 'core'];
+const validDifficulties = ['beginner', 'intermediate', 'advanced'];
+
+// Fields a client may set, with the value used when POST/PUT leaves them out
+const exerciseDefaults = {
+    name: undefined,
+    muscle: undefined,
+    difficulty: undefined,
+    description: '',
+    equipment: 'none',
+    sets: 3,
+    reps: '10-12',
+    duration: 30,
+    calories: 25,
+    met: null, // estimated from the tags when not given (see lib/calories)
+    tags: defaultTags
+};
+
+// Fields of a custom exercise that can be set (and exported)
+const exerciseFields = Object.keys(exerciseDefaults);
+
+/**
+ * Whether reps reads as a count: 12, "12", "8-10", "10 each side", "30 seconds"
+ */
+const validReps = value => (Number.isInteger(value) ? value >= 1 : /^\d/.test(value.trim()));
+
+/**
+ * Normalize a checked field value for storage
+ */
+function normalizeField(field, value, partial) {
+    switch (field) {
+        case 'name':
+        case 'description':
+        case 'equipment':
+            return value.trim();
+        case 'muscle':
+        case 'difficulty':
+            return value.toLowerCase();
+        case 'reps':
+            return String(value).trim();
+        case 'tags':
+            return normalizeTags(value, partial);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Read an exercise body that matches the ExerciseInput (POST, PUT) or
+ * ExercisePatch (PATCH) schema, which lib/validation checks for types, ranges,
+ * required and unknown fields. Only the reps format is checked here.
+ * partial (PATCH): only the given fields are returned, and `tags` holds only
+ * the given tag keys so they can be merged into the existing tags
+ * otherwise (POST, PUT): the fields left out get their defaults
+ * Returns { errors: [{ name, message }], fields }
+ */
+function validateExerciseFields(body, partial) {
+    const errors = [];
+    const fields = {};
+
+    Object.keys(exerciseDefaults).forEach(field => {
+        const value = body[field];
+        if (value === undefined || value === null) {
+            if (!partial && exerciseDefaults[field] !== undefined) {
+                fields[field] = exerciseDefaults[field];
+            }
+            return;
+        }
+        if (field === 'reps' && !validReps(value)) {
+            errors.push({ name: 'reps', message: 'reps must be a positive integer or a string such as "8-12" or "30 seconds"' });
+            return;
+        }
+        fields[field] = normalizeField(field, value, partial);
+    });
+
+    return { errors, fields };
+}
+
+/**
+ * Exercise in `catalog` with the same name (case-insensitive), ignoring `exceptId`
+ */
+function findDuplicateName(catalog, name, exceptId) {
+    const key = name.trim().toLowerCase();
+    return catalog.find(ex => ex.id !== exceptId && ex.name.trim().toLowerCase() === key) || null;
+}
+
+module.exports = {
+    validMuscles,
+    validDifficulties,
+    exerciseFields,
+    validateExerciseFields,
+    findDuplicateName
+};
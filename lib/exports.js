@@ -0,0 +1,454 @@
+/**
+ * Export formats
+ * Renders plans as iCalendar, history and custom exercises as CSV, and any
+ * generated workout as a Markdown or printable HTML sheet. Routes pick the format with
+ * ?format= or the Accept header (see formatTypes).
+ */
+const crypto = require('crypto');
+const { dayNames } = require('./plans');
+const { exerciseFields } = require('./exercises');
+const { tagsOf } = require('./tags');
+const { exerciseColumns } = require('./imports');
+
+const formatTypes = {
+    json: 'application/json',
+    ics: 'text/calendar',
+    csv: 'text/csv',
+    markdown: 'text/markdown',
+    html: 'text/html'
+};
+
+const formatAliases = { md: 'markdown', ical: 'ics', calendar: 'ics' };
+
+/**
+ * Format requested by ?format= (with aliases) or null when it is not given
+ */
+function requestedFormat(format) {
+    if (format === undefined || format === '') return null;
+    const name = String(format).toLowerCase();
+    return formatAliases[name] || name;
+}
+
+// iCalendar ------------------------------------------------------------------
+
+/**
+ * Escape TEXT values (RFC 5545 3.3.11)
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 3.1)
+ */
+function foldLine(line) {
+    const parts = [];
+    let rest = line;
+    let limit = 75;
+    while (Buffer.byteLength(rest) > limit) {
+        let cut = limit;
+        while (Buffer.byteLength(rest.slice(0, cut)) > limit) cut--;
+        parts.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+        limit = 74; // continuation lines start with a space
+    }
+    parts.push(rest);
+    return parts.join('\r\n ');
+}
+
+const icsDate = date => date.toISOString().slice(0, 10).replace(/-/g, '');
+const icsTimestamp = date => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Parse a YYYY-MM-DD start date (UTC), or null if invalid
+ */
+function parseStartDate(text) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(text))) return null;
+    const date = new Date(`${text}T00:00:00Z`);
+    return isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text ? null : date;
+}
+
+/**
+ * First date on or after `start` that falls on the named weekday
+ */
+function nextWeekday(start, dayName) {
+    const target = (dayNames.indexOf(dayName) + 1) % 7; // getUTCDay: Sunday = 0
+    const date = new Date(start);
+    date.setUTCDate(date.getUTCDate() + ((target - date.getUTCDay() + 7) % 7));
+    return date;
+}
+
+const exerciseLine = ex => {
+    const parts = [`${ex.sets} x ${ex.reps}`];
+    if (ex.intensity) parts.push(`@ ${ex.intensity}`);
+    if (ex.rpe) parts.push(`RPE ${ex.rpe}`);
+    if (ex.prescription && ex.prescription.weight) parts.push(`${ex.prescription.weight} ${ex.prescription.unit}`);
+    return `${ex.name}: ${parts.join(' ')}`;
+};
+
+/**
+ * Serialize all-day events as a VCALENDAR
+ * events: [{ uid, date, summary, description, rrule }]
+ */
+function toICalendar(events, { name }) {
+    const stamp = icsTimestamp(new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Workout Generator API//EN',
+        'CALSCALE:GREGORIAN',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    events.forEach(event => {
+        const end = new Date(event.date);
+        end.setUTCDate(end.getUTCDate() + 1);
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${icsDate(event.date)}`,
+            `DTEND;VALUE=DATE:${icsDate(end)}`,
+            ...(event.rrule ? [`RRULE:${event.rrule}`] : []),
+            `SUMMARY:${escapeText(event.summary)}`,
+            `DESCRIPTION:${escapeText(event.description)}`,
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Short hash of a plan or program, so event UIDs differ between plans that
+ * share dates while a re-export of the same plan updates its own events
+ */
+function contentHash(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 12);
+}
+
+/**
+ * One event per training day of a weekly plan, from the first matching date
+ * on or after `start`, repeating weekly for `weeks` weeks
+ */
+function planToICalendar(plan, { start, weeks, name }) {
+    const hash = contentHash(plan);
+    const events = plan
+        .filter(day => day.exercises.length > 0)
+        .map(day => {
+            const date = nextWeekday(start, day.day);
+            return {
+                uid: `${icsDate(date)}-${day.day.toLowerCase()}-${hash}@workout-generator`,
+                date,
+                rrule: weeks > 1 ? `FREQ=WEEKLY;COUNT=${weeks}` : null,
+                summary: day.type,
+                description: day.exercises.map(exerciseLine).join('\n')
+            };
+        })
+        .sort((a, b) => a.date - b.date);
+
+    return toICalendar(events, { name });
+}
+
+/**
+ * One event per training day of every program week, week 1 starting at `start`
+ */
+function programToICalendar(program, { start, name }) {
+    const hash = contentHash(program);
+    const events = [];
+    program.forEach(week => {
+        const weekStart = new Date(start);
+        weekStart.setUTCDate(weekStart.getUTCDate() + (week.week - 1) * 7);
+        week.days.filter(day => day.exercises.length > 0).forEach(day => {
+            const date = nextWeekday(weekStart, day.day);
+            events.push({
+                uid: `${icsDate(date)}-w${week.week}-${day.day.toLowerCase()}-${hash}@workout-generator`,
+                date,
+                summary: `Week ${week.week}${week.phase === 'deload' ? ' (deload)' : ''}: ${day.type}`,
+                description: day.exercises.map(exerciseLine).join('\n')
+            });
+        });
+    });
+
+    return toICalendar(events.sort((a, b) => a.date - b.date), { name });
+}
+
+// CSV ------------------------------------------------------------------------
+
+const csvCell = value => {
+    if (value === null || value === undefined) return '';
+    // Keep spreadsheet apps from running user text as a formula
+    const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const historyColumns = [
+    'entryId', 'date', 'workoutType', 'exerciseId', 'exercise', 'muscle', 'set',
+    'reps', 'weight', 'unit', 'rpe', 'rest', 'duration', 'completed', 'notes'
+];
+
+/**
+ * History as CSV with one row per logged set
+ * Entries logged before set tracking get one row per exercise without set data
+ */
+function historyToCsv(history) {
+    const rows = [];
+
+    history.forEach(entry => {
+        const base = { entryId: entry.id, date: entry.timestamp, workoutType: entry.workoutType };
+        (entry.exercises || []).forEach(logged => {
+            const known = logged && typeof logged === 'object';
+            const exercise = {
+                ...base,
+                exerciseId: known ? logged.id : null,
+                exercise: known ? logged.name : logged,
+                muscle: known ? logged.muscle : null,
+                notes: known ? logged.notes : null
+            };
+            if (!known || !Array.isArray(logged.sets)) {
+                rows.push(exercise);
+                return;
+            }
+            logged.sets.forEach((set, i) => rows.push({ ...exercise, set: i + 1, ...set }));
+        });
+    });
+
+    return [historyColumns, ...rows.map(row => historyColumns.map(column => row[column]))]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * A custom exercise as POST /exercises/import accepts it: settable fields only, no IDs
+ */
+function exerciseRecord(ex) {
+    return Object.fromEntries(exerciseFields.map(field => [
+        field,
+        field === 'tags' ? tagsOf(ex) : (ex[field] === undefined ? null : ex[field])
+    ]));
+}
+
+/**
+ * Custom exercises as CSV, one row per exercise with the tags in their own columns
+ */
+function exercisesToCsv(exercises) {
+    const rows = exercises.map(ex => {
+        const tags = tagsOf(ex);
+        return exerciseColumns.map(column => (column in tags ? tags[column] : ex[column]));
+    });
+
+    return [exerciseColumns, ...rows]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+// Workout sheets ---------------------------------------------------------------
+// A sheet is { title, meta: [[label, value]], sections: [{ heading, note, exercises }] }
+// where each exercise has name plus optional sets, reps, details, notes.
+
+/**
+ * Table cells for one exercise on a sheet
+ */
+function sheetRow(ex) {
+    const details = [];
+    if (ex.intensity) details.push(ex.intensity);
+    if (ex.rpe) details.push(`RPE ${ex.rpe}`);
+    if (ex.restSeconds) details.push(`rest ${ex.restSeconds}s`);
+    if (ex.prescription && ex.prescription.weight) {
+        details.push(`${ex.prescription.weight} ${ex.prescription.unit}`);
+    }
+    if (ex.holdTime) details.push(`hold ${ex.holdTime}`);
+    if (ex.details) details.push(ex.details);
+    return [ex.name, ex.sets || '', ex.reps || (ex.duration ? `${ex.duration}s` : ''), details.join(', ')];
+}
+
+const sheetHeader = ['Exercise', 'Sets', 'Reps', 'Details'];
+
+const describeList = value => (Array.isArray(value) ? value.join(', ') || 'bodyweight only' : value);
+
+/**
+ * Sheet for GET /generate-workout
+ */
+function workoutSheet({ workout, filters, seed }) {
+    return {
+        title: 'Workout',
+        meta: [
+            ['Muscle', filters.muscle],
+            ['Difficulty', filters.difficulty],
+            ['Equipment', describeList(filters.equipment)],
+            ['Seed', seed]
+        ],
+        sections: [{ heading: 'Exercises', exercises: workout }]
+    };
+}
+
+/**
+ * Sheet for /workout-plan, one section per day
+ */
+function planSheet({ plan, split, difficulty, equipment, seed }) {
+    return {
+        title: `Weekly Plan: ${split.name}`,
+        meta: [['Difficulty', difficulty], ['Equipment', describeList(equipment)], ['Seed', seed]],
+        sections: plan.map(day => ({
+            heading: `${day.day}: ${day.type}`,
+            note: day.exercises.length === 0 ? 'Rest day' : null,
+            exercises: day.exercises
+        }))
+    };
+}
+
+/**
+ * Sheet for /program, one section per training day of each week
+ */
+function programSheet({ program, summary, seed }) {
+    return {
+        title: `${summary.weeks}-Week Program: ${summary.split.name}`,
+        meta: [
+            ['Periodization', summary.periodization],
+            ['Deload weeks', summary.deloadWeeks.join(', ') || 'none'],
+            ['Difficulty', summary.difficulty],
+            ['Equipment', describeList(summary.equipment)],
+            ['Seed', seed]
+        ],
+        sections: program.flatMap(week => week.days
+            .filter(day => day.exercises.length > 0)
+            .map(day => ({
+                heading: `Week ${week.week} (${week.phase}), ${day.day}: ${day.type}`,
+                exercises: day.exercises
+            })))
+    };
+}
+
+/**
+ * Sheet for GET /session: warm-up, main block and cool-down
+ */
+function sessionSheet({ session, breakdown, calories, seed }) {
+    const timed = items => items.map(item => ({
+        ...item,
+        details: item.round > 1 ? `round ${item.round}` : ''
+    }));
+    return {
+        title: `Session (${breakdown.target})`,
+        meta: Object.entries(breakdown).map(([block, time]) => [block, time])
+            .concat(calories ? [['Estimated calories', `${calories.total} kcal`]] : [])
+            .concat([['Seed', seed]]),
+        sections: [
+            { heading: `Warm-up (${breakdown.warmup})`, exercises: timed(session.warmup.items) },
+            { heading: `Main (${breakdown.main})`, exercises: session.main.exercises },
+            { heading: `Cool-down (${breakdown.cooldown})`, exercises: timed(session.cooldown.stretches) }
+        ]
+    };
+}
+
+/**
+ * Sheet for GET /superset, one section per pair
+ */
+function supersetSheet({ type, supersets, restBetweenSupersets, seed }) {
+    return {
+        title: `Supersets (${type})`,
+        meta: [['Rest between supersets', restBetweenSupersets], ['Seed', seed]],
+        sections: supersets.map(pair => ({
+            heading: `Superset ${pair.setNumber}`,
+            exercises: [pair.exercise1, pair.exercise2]
+        }))
+    };
+}
+
+/**
+ * Render a sheet as Markdown
+ */
+function renderMarkdown(sheet) {
+    const cell = value => String(value).replace(/\|/g, '\\|');
+    const lines = [`# ${sheet.title}`, ''];
+
+    sheet.meta.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+    if (sheet.meta.length > 0) lines.push('');
+
+    sheet.sections.forEach(section => {
+        lines.push(`## ${section.heading}`, '');
+        if (section.note) lines.push(section.note, '');
+        if (section.exercises.length === 0) return;
+        lines.push(`| ${sheetHeader.join(' | ')} |`, `|${sheetHeader.map(() => '---').join('|')}|`);
+        section.exercises.forEach(ex => lines.push(`| ${sheetRow(ex).map(cell).join(' | ')} |`));
+        lines.push('');
+    });
+
+    return lines.join('\n');
+}
+
+const escapeHtml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Render a sheet as a standalone printable HTML page
+ */
+function renderHtml(sheet) {
+    const meta = sheet.meta.length > 0
+        ? `<ul class="meta">${sheet.meta.map(([label, value]) =>
+            `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`).join('')}</ul>`
+        : '';
+
+    const sections = sheet.sections.map(section => {
+        const note = section.note ? `<p>${escapeHtml(section.note)}</p>` : '';
+        const table = section.exercises.length === 0 ? '' : `
+<table>
+<thead><tr>${sheetHeader.map(h => `<th>${h}</th>`).join('')}<th>Done</th></tr></thead>
+<tbody>
+${section.exercises.map(ex =>
+        `<tr>${sheetRow(ex).map(value => `<td>${escapeHtml(value)}</td>`).join('')}<td class="check"></td></tr>`).join('\n')}
+</tbody>
+</table>`;
+        return `<section>\n<h2>${escapeHtml(section.heading)}</h2>${note}${table}\n</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(sheet.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #111; }
+h1 { margin-bottom: 0.5rem; }
+.meta { list-style: none; padding: 0; color: #444; }
+section { page-break-inside: avoid; margin-bottom: 1.5rem; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #999; padding: 0.35rem 0.5rem; text-align: left; }
+th { background: #eee; }
+td.check { width: 3rem; }
+@media print { body { margin: 0.5in; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(sheet.title)}</h1>
+${meta}
+${sections}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    formatTypes,
+    requestedFormat,
+    parseStartDate,
+    planToICalendar,
+    programToICalendar,
+    historyToCsv,
+    exerciseRecord,
+    exercisesToCsv,
+    workoutSheet,
+    planSheet,
+    programSheet,
+    sessionSheet,
+    supersetSheet,
+    renderMarkdown,
+    renderHtml
+};
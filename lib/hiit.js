@@ -0,0 +1,207 @@
+/**
+ * HIIT formats
+ * Builds interval workouts from catalog exercises tagged hiit and lays them out
+ * as a timeline: consecutive work/rest segments with their start and end second,
+ * so a client timer can play the workout back without doing any maths.
+ */
+const { metOf, caloriesFor, REST_MET } = require('./calories');
+const { formatDuration } = require('./session');
+
+/**
+ * Supported formats with their options as { default, min, max }
+ */
+const hiitFormats = {
+    intervals: {
+        description: 'One exercise per round: work, then rest',
+        options: {
+            rounds: { default: 4, min: 1, max: 20 },
+            work: { default: 40, min: 10, max: 120 },
+            rest: { default: 20, min: 5, max: 120 }
+        }
+    },
+    tabata: {
+        description: '8 rounds of 20s work / 10s rest per exercise, with a break between exercises',
+        options: {
+            count: { default: 4, min: 1, max: 8 },
+            roundRest: { default: 60, min: 0, max: 300 }
+        }
+    },
+    emom: {
+        description: 'Every minute on the minute: work at the top of each minute, rest for the remainder',
+        options: {
+            minutes: { default: 12, min: 4, max: 60 },
+            count: { default: 3, min: 1, max: 6 },
+            work: { default: 40, min: 10, max: 50 }
+        }
+    },
+    amrap: {
+        description: 'As many rounds as possible of a short circuit before the clock runs out',
+        options: {
+            minutes: { default: 15, min: 5, max: 60 },
+            count: { default: 4, min: 2, max: 8 }
+        }
+    },
+    circuit: {
+        description: 'Several stations back to back, repeated for multiple rounds',
+        options: {
+            count: { default: 5, min: 2, max: 10 },
+            rounds: { default: 3, min: 1, max: 10 },
+            work: { default: 40, min: 10, max: 120 },
+            rest: { default: 20, min: 0, max: 120 },
+            roundRest: { default: 60, min: 0, max: 300 }
+        }
+    }
+};
+
+// Tabata protocol
+const TABATA = { rounds: 8, work: 20, rest: 10 };
+
+/**
+ * Read a format's options from query params, clamped to their range
+ */
+function resolveHiitOptions(type, params) {
+    const options = {};
+    Object.entries(hiitFormats[type].options).forEach(([key, { default: fallback, min, max }]) => {
+        const value = parseInt(params[key]);
+        options[key] = Math.min(max, Math.max(min, Number.isNaN(value) ? fallback : value));
+    });
+    return options;
+}
+
+const brief = ex => ({ id: ex.id, name: ex.name, muscle: ex.muscle, met: metOf(ex) });
+
+/**
+ * Append-only timeline of work/rest segments, timed from 0
+ */
+function createTimeline(bodyWeightKg) {
+    const segments = [];
+    let clock = 0;
+
+    return {
+        segments,
+        add(phase, seconds, fields = {}) {
+            if (seconds <= 0) return;
+            const met = phase === 'work' ? fields.met : REST_MET;
+            segments.push({
+                start: clock,
+                end: clock + seconds,
+                seconds,
+                phase,
+                ...fields,
+                calories: caloriesFor(met, bodyWeightKg, seconds)
+            });
+            clock += seconds;
+        }
+    };
+}
+
+const builders = {
+    intervals(timeline, picks, { rounds, work, rest }) {
+        for (let round = 1; round <= rounds; round++) {
+            const ex = picks[(round - 1) % picks.length];
+            timeline.add('work', work, { round, exercise: brief(ex), met: metOf(ex), label: `Round ${round}/${rounds}: ${ex.name}` });
+            if (round < rounds) timeline.add('rest', rest, { round, label: 'Rest' });
+        }
+    },
+
+    tabata(timeline, picks, { count, roundRest }) {
+        picks.slice(0, count).forEach((ex, i, blocks) => {
+            const block = i + 1;
+            for (let round = 1; round <= TABATA.rounds; round++) {
+                timeline.add('work', TABATA.work, {
+                    block,
+                    round,
+                    exercise: brief(ex),
+                    met: metOf(ex),
+                    label: `${ex.name} ${round}/${TABATA.rounds}`
+                });
+                if (round < TABATA.rounds) timeline.add('rest', TABATA.rest, { block, round, label: 'Rest' });
+            }
+            if (block < blocks.length) timeline.add('rest', roundRest, { block, label: `Break, next: ${blocks[i + 1].name}` });
+        });
+    },
+
+    emom(timeline, picks, { minutes, count, work }) {
+        const rotation = picks.slice(0, count);
+        for (let minute = 1; minute <= minutes; minute++) {
+            const ex = rotation[(minute - 1) % rotation.length];
+            timeline.add('work', work, {
+                minute,
+                exercise: brief(ex),
+                met: metOf(ex),
+                reps: ex.reps,
+                label: `Minute ${minute}/${minutes}: ${ex.reps} ${ex.name}`
+            });
+            timeline.add('rest', 60 - work, { minute, label: 'Rest until the next minute' });
+        }
+    },
+
+    amrap(timeline, picks, { minutes, count }) {
+        const circuit = picks.slice(0, count);
+        const met = circuit.reduce((sum, ex) => sum + metOf(ex), 0) / circuit.length;
+        timeline.add('work', minutes * 60, {
+            circuit: circuit.map(ex => ({ ...brief(ex), reps: ex.reps })),
+            met: Math.round(met * 10) / 10,
+            label: `AMRAP ${minutes} min: ${circuit.map(ex => `${ex.reps} ${ex.name}`).join(', ')}`
+        });
+    },
+
+    circuit(timeline, picks, { count, rounds, work, rest, roundRest }) {
+        const stations = picks.slice(0, count);
+        for (let round = 1; round <= rounds; round++) {
+            stations.forEach((ex, i) => {
+                const station = i + 1;
+                timeline.add('work', work, {
+                    round,
+                    station,
+                    exercise: brief(ex),
+                    met: metOf(ex),
+                    label: `Round ${round}/${rounds}, station ${station}/${stations.length}: ${ex.name}`
+                });
+                if (station < stations.length) timeline.add('rest', rest, { round, station, label: 'Move to the next station' });
+            });
+            if (round < rounds) timeline.add('rest', roundRest, { round, label: `Rest before round ${round + 1}` });
+        }
+    }
+};
+
+/**
+ * Build a HIIT workout
+ * Options:
+ *   - type: a key of hiitFormats
+ *   - exercises: shuffled pool of hiit-tagged exercises (reused in order when short)
+ *   - options: resolved format options (see resolveHiitOptions)
+ *   - bodyWeightKg: for the calorie estimates
+ * Returns { exercises, timeline, summary }
+ */
+function buildHiit({ type, exercises, options, bodyWeightKg }) {
+    // Formats that need `count` distinct exercises cycle the pool when it is smaller
+    const wanted = options.count || Math.min(options.rounds, exercises.length);
+    const picks = Array.from({ length: wanted }, (_, i) => exercises[i % exercises.length]);
+
+    const timeline = createTimeline(bodyWeightKg);
+    builders[type](timeline, picks, options);
+
+    const { segments } = timeline;
+    const total = phase => segments.filter(s => !phase || s.phase === phase).reduce((sum, s) => sum + s.seconds, 0);
+    const usedIds = new Set(segments.flatMap(s => s.circuit || (s.exercise ? [s.exercise] : [])).map(ex => ex.id));
+    const used = [...new Map(picks.filter(ex => usedIds.has(ex.id)).map(ex => [ex.id, ex])).values()];
+
+    return {
+        exercises: used.map(brief),
+        timeline: segments,
+        summary: {
+            type,
+            description: hiitFormats[type].description,
+            ...options,
+            segments: segments.length,
+            workSeconds: total('work'),
+            restSeconds: total('rest'),
+            totalSeconds: total(),
+            totalTime: formatDuration(total()),
+            estimatedCalories: Math.round(segments.reduce((sum, s) => sum + s.calories, 0))
+        }
+    };
+}
+
+module.exports = { hiitFormats, resolveHiitOptions, buildHiit };
@@ -0,0 +1,137 @@
+/**
+ * Workout log schema
+ * Validates the exercises/sets sent to POST and PATCH /history against the
+ * exercise catalog and derives the entry's summary fields.
+ */
+const { exerciseCalories } = require('./calories');
+
+const weightUnits = ['kg', 'lb'];
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Validate and normalize one performed set
+ * { reps, weight, unit, rpe, rest, duration, completed }
+ */
+function normalizeSet(set, path, errors) {
+    if (!set || typeof set !== 'object' || Array.isArray(set)) {
+        errors.push(`${path} must be an object`);
+        return null;
+    }
+
+    const { reps, weight = 0, unit = 'kg', rpe = null, rest = null, duration = null, completed = true } = set;
+
+    if (reps === undefined && duration === null) {
+        errors.push(`${path} needs reps or duration`);
+    }
+    if (reps !== undefined && (!Number.isInteger(reps) || reps < 0)) {
+        errors.push(`${path}.reps must be a non-negative integer`);
+    }
+    if (duration !== null && (!isNumber(duration) || duration < 0)) {
+        errors.push(`${path}.duration must be a non-negative number of seconds`);
+    }
+    if (!isNumber(weight) || weight < 0) {
+        errors.push(`${path}.weight must be a non-negative number`);
+    }
+    if (!weightUnits.includes(unit)) {
+        errors.push(`${path}.unit must be one of: ${weightUnits.join(', ')}`);
+    }
+    if (rpe !== null && (!isNumber(rpe) || rpe < 1 || rpe > 10)) {
+        errors.push(`${path}.rpe must be a number from 1 to 10`);
+    }
+    if (rest !== null && (!isNumber(rest) || rest < 0)) {
+        errors.push(`${path}.rest must be a non-negative number of seconds`);
+    }
+    if (typeof completed !== 'boolean') {
+        errors.push(`${path}.completed must be a boolean`);
+    }
+
+    return {
+        reps: reps === undefined ? null : reps,
+        weight,
+        unit,
+        rpe,
+        rest,
+        duration,
+        completed
+    };
+}
+
+/**
+ * Validate logged exercises against the caller's catalog
+ * exercises: [{ id, sets: [...], notes }]
+ * Returns { errors, exercises } with catalog name/muscle filled in
+ */
+function validateLoggedExercises(exercises, catalog) {
+    const errors = [];
+
+    if (!Array.isArray(exercises) || exercises.length === 0) {
+        return { errors: ['exercises must be a non-empty array'], exercises: [] };
+    }
+
+    const normalized = exercises.map((logged, i) => {
+        const path = `exercises[${i}]`;
+
+        if (!logged || typeof logged !== 'object') {
+            errors.push(`${path} must be an object`);
+            return null;
+        }
+
+        const exercise = catalog.find(ex => ex.id === logged.id);
+        if (!exercise) {
+            errors.push(`${path}.id ${JSON.stringify(logged.id)} is not a known exercise`);
+        }
+
+        if (!Array.isArray(logged.sets) || logged.sets.length === 0) {
+            errors.push(`${path}.sets must be a non-empty array`);
+            return null;
+        }
+
+        const sets = logged.sets.map((set, j) => normalizeSet(set, `${path}.sets[${j}]`, errors));
+
+        return exercise && {
+            id: exercise.id,
+            name: exercise.name,
+            muscle: exercise.muscle,
+            sets,
+            notes: typeof logged.notes === 'string' ? logged.notes : ''
+        };
+    });
+
+    return { errors, exercises: errors.length > 0 ? [] : normalized };
+}
+
+/**
+ * Derived summary fields for a history entry
+ * Calories come from each exercise's MET, the caller's body weight and the
+ * completed sets: a set's logged duration (else the catalog's) plus its rest
+ */
+function summarizeLoggedExercises(exercises, catalog, bodyWeightKg) {
+    let totalSets = 0;
+    let completedSets = 0;
+    let estimatedCalories = 0;
+
+    exercises.forEach(logged => {
+        const exercise = catalog.find(ex => ex.id === logged.id);
+        const done = logged.sets.filter(set => set.completed);
+
+        totalSets += logged.sets.length;
+        completedSets += done.length;
+        if (exercise) {
+            const sets = done.map(set => ({
+                seconds: set.duration === null ? exercise.duration || 30 : set.duration,
+                restSeconds: set.rest || 0
+            }));
+            estimatedCalories += exerciseCalories(exercise, sets, bodyWeightKg).calories;
+        }
+    });
+
+    return {
+        exerciseCount: exercises.length,
+        totalSets,
+        completedSets,
+        estimatedCalories: Math.round(estimatedCalories)
+    };
+}
+
+module.exports = { weightUnits, validateLoggedExercises, summarizeLoggedExercises };
@@ -0,0 +1,185 @@
+/**
+ * Bulk import of custom exercises
+ * Reads exercises from JSON ({ exercises: [...] }) or CSV (one row per
+ * exercise, see exerciseColumns) and checks every row on its own: the
+ * POST /exercises schema and reps format, plus duplicate names against the
+ * caller's catalog and earlier rows of the same file.
+ */
+const { validateExerciseFields, findDuplicateName } = require('./exercises');
+const { tagVocabulary, flagTags } = require('./tags');
+
+const MAX_IMPORT_ROWS = 1000;
+
+const duplicateModes = ['skip', 'update'];
+
+// CSV columns, in export order; tag columns fill `tags`
+const exerciseColumns = [
+    'name', 'muscle', 'difficulty', 'description', 'equipment',
+    'sets', 'reps', 'duration', 'calories', 'met',
+    ...Object.keys(tagVocabulary), ...flagTags
+];
+
+const integerColumns = ['sets', 'duration'];
+const numberColumns = ['calories', 'met'];
+const tagColumns = [...Object.keys(tagVocabulary), ...flagTags];
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, "" escapes, CRLF or LF line ends)
+ * Returns an array of rows, each an array of cells; blank lines are dropped
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Typed value of one CSV cell, or undefined for an empty cell (field default)
+ * Values that do not parse are kept as text so validation can report them
+ */
+function cellValue(column, text) {
+    // Undo the quote our CSV export puts before formula-like text
+    const value = text.trim().replace(/^'(?=[=+\-@])/, '');
+    if (value === '') return undefined;
+
+    if (integerColumns.includes(column) && /^\d+$/.test(value)) {
+        return parseInt(value);
+    }
+    if (numberColumns.includes(column) && /^\d+(\.\d+)?$/.test(value)) {
+        return parseFloat(value);
+    }
+    if (flagTags.includes(column)) {
+        const flag = { true: true, yes: true, 1: true, false: false, no: false, 0: false }[value.toLowerCase()];
+        return flag === undefined ? value : flag;
+    }
+    return value;
+}
+
+/**
+ * Exercise bodies from CSV text with a header row
+ * Returns { error } for an unusable file, else { rows: [{ row, body }] }
+ * where row is the line in the file (the header is row 1)
+ */
+function rowsFromCsv(text) {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+        return { error: 'The CSV file is empty' };
+    }
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    const unknown = columns.filter(name => !exerciseColumns.includes(name));
+    if (unknown.length > 0) {
+        return { error: `Unknown CSV columns: ${unknown.join(', ')}` };
+    }
+    if (!columns.includes('name')) {
+        return { error: 'The CSV header must include a name column' };
+    }
+
+    return {
+        rows: records.map((cells, i) => {
+            const body = {};
+            const tags = {};
+            columns.forEach((column, c) => {
+                const value = cellValue(column, cells[c] || '');
+                if (value === undefined) return;
+                if (tagColumns.includes(column)) {
+                    tags[column] = value;
+                } else {
+                    body[column] = value;
+                }
+            });
+            if (Object.keys(tags).length > 0) body.tags = tags;
+            return { row: i + 2, body };
+        })
+    };
+}
+
+/**
+ * Exercise bodies from a JSON import; row is the position in the list (from 1)
+ */
+function rowsFromJson(exercises) {
+    return exercises.map((body, i) => ({ row: i + 1, body }));
+}
+
+/**
+ * Check every row of an import against `catalog` (built-in and the caller's
+ * custom exercises)
+ * checkBody: schema errors of one row as messages (the POST /exercises body schema)
+ * onDuplicate: skip (leave the existing exercise alone) or update (replace
+ * your custom exercise of that name; built-in ones are always skipped)
+ * Returns [{ row, name, action: create | update | skip | invalid, fields, errors, duplicateOf }]
+ */
+function planImport(rows, catalog, checkBody, onDuplicate = 'skip') {
+    const seen = [];
+
+    return rows.map(({ row, body }) => {
+        const name = body && typeof body.name === 'string' ? body.name.trim() : null;
+        const schemaErrors = checkBody(body);
+        if (schemaErrors.length > 0) {
+            return { row, name, action: 'invalid', errors: schemaErrors };
+        }
+
+        const { errors, fields } = validateExerciseFields(body, false);
+        if (errors.length > 0) {
+            return { row, name, action: 'invalid', errors: errors.map(error => error.message) };
+        }
+
+        const earlier = findDuplicateName(seen, fields.name);
+        if (earlier) {
+            return { row, name, action: 'invalid', errors: [`name repeats row ${earlier.row}`] };
+        }
+        seen.push({ id: -row, row, name: fields.name });
+
+        const duplicate = findDuplicateName(catalog, fields.name);
+        if (!duplicate) {
+            return { row, name, action: 'create', fields };
+        }
+
+        const duplicateOf = { id: duplicate.id, name: duplicate.name, builtIn: duplicate.builtIn === true };
+        return onDuplicate === 'update' && !duplicate.builtIn
+            ? { row, name, action: 'update', fields, duplicateOf }
+            : { row, name, action: 'skip', duplicateOf };
+    });
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    duplicateModes,
+    exerciseColumns,
+    parseCsv,
+    rowsFromCsv,
+    rowsFromJson,
+    planImport
+};
@@ -0,0 +1,561 @@
+/**
+ * Live guided sessions
+ * Turns a generated workout (HIIT, superset, warm-up or stretches) into a
+ * timeline and plays it back in real time, pushing cue events to Server-Sent
+ * Events subscribers. Sessions live in memory for the lifetime of the process;
+ * a finished one is handed to onFinish so it can be saved to history.
+ */
+const crypto = require('crypto');
+const { metOf, caloriesFor, REST_MET, STRETCH_MET } = require('./calories');
+const { restSecondsFor } = require('./session');
+
+const liveSources = ['hiit', 'superset', 'warm-up', 'stretches'];
+
+// Sources made of catalog exercises, which are logged set by set
+const catalogSources = ['hiit', 'superset'];
+
+const controlActions = ['start', 'pause', 'resume', 'skip', 'stop'];
+
+// Seconds to move between warm-ups or stretches
+const TRANSITION_SECONDS = 10;
+
+// Announce the next exercise this long before it starts
+const NEXT_UP_SECONDS = 10;
+
+// Longest segment and session accepted from a HIIT timeline
+const MAX_SEGMENT_SECONDS = 60 * 60;
+const MAX_SESSION_SECONDS = 4 * 60 * 60;
+
+// Ended sessions stay readable this long; idle ones are stopped after IDLE_MS
+const ENDED_TTL_MS = 10 * 60 * 1000;
+const IDLE_MS = 60 * 60 * 1000;
+
+// Sessions a user may have that have not ended yet
+const MAX_ACTIVE_SESSIONS = 3;
+
+// Comment line sent on idle event streams so proxies keep them open
+const HEARTBEAT_MS = 20 * 1000;
+
+const brief = ex => ({ id: ex.id, name: ex.name, ...(ex.muscle && { muscle: ex.muscle }) });
+
+/**
+ * Timeline builders: (workout, lookups) => { errors, segments }
+ * Segments are { phase, seconds, label, exercises, met }; exercises are
+ * looked up by ID in the catalog. Superset, warm-up and stretch durations come
+ * from the catalog; HIIT segments keep the client's seconds (the timeline of
+ * GET /hiit), bounded by MAX_SEGMENT_SECONDS and MAX_SESSION_SECONDS.
+ */
+const builders = {
+    hiit(workout, { catalog }) {
+        const errors = [];
+        if (!Array.isArray(workout.timeline) || workout.timeline.length === 0) {
+            return { errors: ['workout.timeline must be a non-empty array (the response of GET /hiit)'], segments: [] };
+        }
+
+        const segments = workout.timeline.map((segment, i) => {
+            const path = `workout.timeline[${i}]`;
+            if (!segment || typeof segment !== 'object') {
+                errors.push(`${path} must be an object`);
+                return null;
+            }
+            const { phase, seconds, label } = segment;
+            if (phase !== 'work' && phase !== 'rest') {
+                errors.push(`${path}.phase must be work or rest`);
+            }
+            if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_SEGMENT_SECONDS) {
+                errors.push(`${path}.seconds must be an integer from 1 to ${MAX_SEGMENT_SECONDS}`);
+            }
+
+            if (segment.circuit !== undefined && !Array.isArray(segment.circuit)) {
+                errors.push(`${path}.circuit must be an array of exercises`);
+                return null;
+            }
+
+            const refs = segment.circuit || (segment.exercise ? [segment.exercise] : []);
+            const exercises = refs.map(ref => {
+                const exercise = ref && catalog.find(ex => ex.id === ref.id);
+                if (!exercise) {
+                    errors.push(`${path} refers to unknown exercise ${JSON.stringify(ref && ref.id)}`);
+                }
+                return exercise;
+            });
+            if (phase === 'work' && exercises.length === 0) {
+                errors.push(`${path} is a work segment without an exercise`);
+            }
+            if (errors.length > 0) {
+                return null;
+            }
+
+            return {
+                phase,
+                seconds,
+                label: typeof label === 'string' ? label : (phase === 'rest' ? 'Rest' : exercises.map(ex => ex.name).join(', ')),
+                exercises: exercises.map(brief),
+                met: phase === 'rest' ? REST_MET : exercises.reduce((sum, ex) => sum + metOf(ex), 0) / exercises.length
+            };
+        });
+
+        return { errors, segments };
+    },
+
+    superset(workout, { catalog }) {
+        const errors = [];
+        if (!Array.isArray(workout.supersets) || workout.supersets.length === 0) {
+            return { errors: ['workout.supersets must be a non-empty array (the response of GET /superset)'], segments: [] };
+        }
+
+        const pairs = workout.supersets.map((pair, i) => ['exercise1', 'exercise2'].map(key => {
+            const ref = pair && pair[key];
+            const exercise = ref && catalog.find(ex => ex.id === ref.id);
+            if (!exercise) {
+                errors.push(`workout.supersets[${i}].${key} is not a known exercise`);
+            }
+            return exercise;
+        }));
+        if (errors.length > 0) {
+            return { errors, segments: [] };
+        }
+
+        const segments = [];
+        pairs.forEach(([first, second], i) => {
+            const sets = Math.min(first.sets || 3, second.sets || 3);
+            const rest = Math.max(restSecondsFor(first), restSecondsFor(second));
+            for (let set = 1; set <= sets; set++) {
+                [first, second].forEach(ex => segments.push({
+                    phase: 'work',
+                    seconds: ex.duration || 30,
+                    label: `Superset ${i + 1}, set ${set}/${sets}: ${ex.name}`,
+                    exercises: [brief(ex)],
+                    met: metOf(ex)
+                }));
+                const last = i === pairs.length - 1 && set === sets;
+                if (!last) {
+                    segments.push({ phase: 'rest', seconds: rest, label: 'Rest', exercises: [], met: REST_MET });
+                }
+            }
+        });
+
+        return { errors, segments };
+    },
+
+    'warm-up'(workout, { warmups }) {
+        return itemTimeline(workout.warmup, 'workout.warmup', 'GET /warm-up', warmups, item => [{
+            seconds: item.duration,
+            label: item.name,
+            met: metOf(item)
+        }]);
+    },
+
+    stretches(workout, { stretches }) {
+        // GET /cooldown nests its stretches
+        const items = workout.stretches || (workout.cooldown && workout.cooldown.stretches);
+        return itemTimeline(items, 'workout.stretches', 'GET /stretches', stretches, item => {
+            // "30 seconds each leg" holds are done once per side
+            const sides = /each/.test(item.holdTime || '') ? 2 : 1;
+            return Array.from({ length: sides }, (_, i) => ({
+                seconds: item.duration,
+                label: sides === 2 ? `${item.name} (side ${i + 1})` : item.name,
+                met: STRETCH_MET
+            }));
+        });
+    }
+};
+
+/**
+ * Timeline for a list of warm-ups or stretches, with a short transition between items
+ */
+function itemTimeline(items, path, endpoint, lookup, holdsOf) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { errors: [`${path} must be a non-empty array (the response of ${endpoint})`], segments: [] };
+    }
+
+    const errors = [];
+    const found = items.map((ref, i) => {
+        const item = ref && lookup.find(entry => entry.id === ref.id);
+        if (!item) {
+            errors.push(`${path}[${i}] is not a known item`);
+        }
+        return item;
+    });
+    if (errors.length > 0) {
+        return { errors, segments: [] };
+    }
+
+    const segments = [];
+    found.forEach((item, i) => {
+        holdsOf(item).forEach(hold => segments.push({ phase: 'work', exercises: [brief(item)], ...hold }));
+        if (i < found.length - 1) {
+            segments.push({ phase: 'rest', seconds: TRANSITION_SECONDS, label: `Next: ${found[i + 1].name}`, exercises: [], met: REST_MET });
+        }
+    });
+    return { errors, segments };
+}
+
+/**
+ * Build the timeline for a generated workout
+ * lookups: { catalog, warmups, stretches }
+ * Returns { errors, segments } with each segment's start and end second filled in
+ */
+function buildLiveTimeline(source, workout, lookups) {
+    if (!workout || typeof workout !== 'object' || Array.isArray(workout)) {
+        return { errors: ['workout must be the JSON response of the generator'], segments: [] };
+    }
+
+    const { errors, segments } = builders[source](workout, lookups);
+    if (errors.length > 0) {
+        return { errors, segments: [] };
+    }
+
+    let clock = 0;
+    const timed = segments.map((segment, index) => {
+        const start = clock;
+        clock += segment.seconds;
+        return { index, start, end: clock, ...segment, met: Math.round(segment.met * 10) / 10 };
+    });
+
+    if (clock > MAX_SESSION_SECONDS) {
+        return { errors: [`workout is longer than ${MAX_SESSION_SECONDS / 3600} hours`], segments: [] };
+    }
+    return { errors, segments: timed };
+}
+
+/**
+ * Format one Server-Sent Event
+ */
+function formatEvent(event, data, id) {
+    return `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * One live session
+ * Cues per segment: start (work) or rest at 0s, halfway through work,
+ * next before a work segment, plus tick every second and the control
+ * events paused, resumed, skipped, stopped and done. save-failed reports a
+ * finished session that could not be saved to history (not named error, which
+ * EventSource uses for connection errors).
+ */
+function createLiveSession({ userId, source, segments, bodyWeight, tickMs, onFinish }) {
+    const subscribers = new Set();
+    const spent = segments.map(() => 0);
+    const skipped = new Set();
+    let state = 'ready';
+    let index = 0;
+    let elapsed = 0;
+    let eventId = 0;
+    let ticker = null;
+    let historyId = null;
+
+    const session = {
+        id: crypto.randomUUID(),
+        userId,
+        source,
+        bodyWeight,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        endedAt: null,
+        lastActivity: Date.now()
+    };
+
+    const totalSeconds = segments.length > 0 ? segments[segments.length - 1].end : 0;
+    const elapsedSeconds = () => spent.reduce((sum, s) => sum + s, 0);
+    const isOver = () => state === 'finished' || state === 'stopped';
+
+    function emit(event, data) {
+        eventId++;
+        subscribers.forEach(subscriber => subscriber.send(event, data, eventId));
+    }
+
+    function closeAll() {
+        subscribers.forEach(subscriber => subscriber.close());
+        subscribers.clear();
+    }
+
+    function upcoming(at) {
+        const next = segments[at + 1];
+        return next && next.phase === 'work' ? next : null;
+    }
+
+    function announceNext() {
+        const next = upcoming(index);
+        if (next) {
+            const current = segments[index];
+            emit('next', { segment: next.index, label: next.label, exercises: next.exercises, in: current.seconds - elapsed });
+        }
+    }
+
+    // Cues due at the current second of the current segment
+    function cue() {
+        const segment = segments[index];
+        const half = Math.floor(segment.seconds / 2);
+
+        if (elapsed === 0) {
+            if (segment.phase === 'work') {
+                emit('start', { segment: index, label: segment.label, exercises: segment.exercises, seconds: segment.seconds });
+            } else {
+                emit('rest', { segment: index, label: segment.label, seconds: segment.seconds });
+                announceNext();
+            }
+        }
+        if (segment.phase === 'work' && elapsed === half && half > 0) {
+            emit('halfway', { segment: index, label: segment.label, remaining: segment.seconds - elapsed });
+        }
+        if (segment.phase === 'work' && elapsed === Math.max(1, segment.seconds - NEXT_UP_SECONDS)) {
+            announceNext();
+        }
+    }
+
+    function advance() {
+        index++;
+        elapsed = 0;
+        if (index >= segments.length) {
+            return finish();
+        }
+        cue();
+    }
+
+    function tick() {
+        elapsed++;
+        spent[index]++;
+        const segment = segments[index];
+        emit('tick', {
+            segment: index,
+            elapsed,
+            remaining: segment.seconds - elapsed,
+            totalElapsed: elapsedSeconds(),
+            totalRemaining: totalSeconds - segment.end + (segment.seconds - elapsed)
+        });
+        if (elapsed >= segment.seconds) {
+            advance();
+        } else {
+            cue();
+        }
+    }
+
+    function setRunning(running) {
+        if (running && !ticker) {
+            ticker = setInterval(tick, tickMs);
+            ticker.unref();
+        } else if (!running && ticker) {
+            clearInterval(ticker);
+            ticker = null;
+        }
+    }
+
+    function end(finalState) {
+        state = finalState;
+        session.endedAt = new Date().toISOString();
+        setRunning(false);
+    }
+
+    function finish() {
+        end('finished');
+        // Nothing to log when every segment was skipped
+        if (session.snapshot().progress.completedSegments > 0) {
+            try {
+                const entry = onFinish(session);
+                historyId = entry ? entry.id : null;
+            } catch (err) {
+                // Runs on the timer, so a storage error must not reach the process
+                console.error(err);
+                emit('save-failed', { message: 'The session could not be saved to your history' });
+            }
+        }
+        emit('done', session.snapshot());
+        closeAll();
+    }
+
+    const controls = {
+        start: ['ready', () => {
+            state = 'running';
+            session.startedAt = new Date().toISOString();
+            cue();
+            setRunning(true);
+        }],
+        pause: ['running', () => {
+            state = 'paused';
+            setRunning(false);
+            emit('paused', { segment: index, elapsed });
+        }],
+        resume: ['paused', () => {
+            state = 'running';
+            setRunning(true);
+            emit('resumed', { segment: index, elapsed });
+        }],
+        skip: ['running paused', () => {
+            skipped.add(index);
+            emit('skipped', { segment: index, label: segments[index].label });
+            advance();
+        }],
+        stop: ['ready running paused', () => {
+            end('stopped');
+            emit('stopped', session.snapshot());
+            closeAll();
+        }]
+    };
+
+    /**
+     * Apply a control action; returns an error message when not allowed in this state
+     */
+    session.control = action => {
+        const [allowed, apply] = controls[action];
+        if (!allowed.split(' ').includes(state)) {
+            return `Cannot ${action} a ${state} session`;
+        }
+        session.lastActivity = Date.now();
+        apply();
+        return null;
+    };
+
+    /**
+     * Subscribe to events: { send(event, data, id), close() }
+     * The subscriber gets a state event first; returns the unsubscribe function
+     */
+    session.subscribe = subscriber => {
+        subscriber.send('state', session.snapshot(), eventId);
+        if (isOver()) {
+            subscriber.close();
+            return () => {};
+        }
+        subscribers.add(subscriber);
+        return () => subscribers.delete(subscriber);
+    };
+
+    session.isOver = isOver;
+    session.isIdle = now => !isOver() && state !== 'running' && now - session.lastActivity > IDLE_MS;
+
+    /**
+     * Progress for responses and the state/done events
+     */
+    session.snapshot = ({ timeline = false } = {}) => {
+        const current = segments[index];
+        const calories = segments.reduce((sum, s, i) => sum + caloriesFor(s.met, bodyWeight.bodyWeightKg, spent[i]), 0);
+        return {
+            id: session.id,
+            source,
+            state,
+            segment: current ? { ...current, elapsed, remaining: current.seconds - elapsed } : null,
+            progress: {
+                segments: segments.length,
+                completedSegments: Math.min(index, segments.length) - skipped.size,
+                skippedSegments: skipped.size,
+                elapsedSeconds: elapsedSeconds(),
+                totalSeconds,
+                estimatedCalories: Math.round(calories * 10) / 10
+            },
+            createdAt: session.createdAt,
+            startedAt: session.startedAt,
+            endedAt: session.endedAt,
+            historyId,
+            ...(timeline && { timeline: segments })
+        };
+    };
+
+    /**
+     * History entry fields for the time actually trained: one set per work
+     * segment of a catalog exercise, with the rest that followed it
+     */
+    session.historyFields = () => {
+        const exercises = [];
+        if (catalogSources.includes(source)) {
+            segments.forEach((segment, i) => {
+                if (segment.phase !== 'work') return;
+                const next = segments[i + 1];
+                const rest = next && next.phase === 'rest' ? spent[i + 1] : 0;
+                segment.exercises.forEach(ex => {
+                    let logged = exercises.find(e => e.id === ex.id);
+                    if (!logged) {
+                        logged = { id: ex.id, name: ex.name, muscle: ex.muscle, sets: [], notes: '' };
+                        exercises.push(logged);
+                    }
+                    logged.sets.push({
+                        reps: null,
+                        weight: 0,
+                        unit: 'kg',
+                        rpe: null,
+                        rest,
+                        // A circuit's time is shared between its exercises
+                        duration: Math.round(spent[i] / segment.exercises.length),
+                        completed: !skipped.has(i) && spent[i] > 0
+                    });
+                });
+            });
+        }
+
+        const sets = exercises.flatMap(ex => ex.sets);
+        const { progress } = session.snapshot();
+        return {
+            exercises,
+            exerciseCount: exercises.length,
+            totalSets: sets.length,
+            completedSets: sets.filter(set => set.completed).length,
+            estimatedCalories: Math.round(progress.estimatedCalories),
+            workoutType: source,
+            duration: Math.round(progress.elapsedSeconds / 6) / 10,
+            notes: `Live session: ${progress.completedSegments} of ${progress.segments} segments completed, ${progress.skippedSegments} skipped`
+        };
+    };
+
+    return session;
+}
+
+/**
+ * Registry of live sessions
+ * Options:
+ *   - onFinish: called with a session that ran to the end with at least one
+ *     segment completed; returns the saved history entry
+ *   - tickMs: length of one timeline second (default: 1000)
+ */
+function createLiveSessions({ onFinish, tickMs = 1000 }) {
+    const sessions = new Map();
+
+    // Drop ended sessions after a while and stop abandoned ones
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        sessions.forEach(session => {
+            if (session.isIdle(now)) {
+                session.control('stop');
+            } else if (session.isOver() && now - Date.parse(session.endedAt) > ENDED_TTL_MS) {
+                sessions.delete(session.id);
+            }
+        });
+    }, 60 * 1000);
+    sweeper.unref();
+
+    return {
+        create({ userId, source, segments, bodyWeight }) {
+            const session = createLiveSession({
+                userId,
+                source,
+                segments,
+                bodyWeight,
+                tickMs,
+                onFinish
+            });
+            sessions.set(session.id, session);
+            return session;
+        },
+
+        get(userId, id) {
+            const session = sessions.get(id);
+            return session && session.userId === userId ? session : null;
+        },
+
+        // All users' sessions when userId is omitted
+        list(userId) {
+            if (userId === undefined) {
+                return [...sessions.values()];
+            }
+            return [...sessions.values()].filter(session => session.userId === userId);
+        }
+    };
+}
+
+module.exports = {
+    MAX_ACTIVE_SESSIONS,
+    HEARTBEAT_MS,
+    liveSources,
+    controlActions,
+    buildLiveTimeline,
+    formatEvent,
+    createLiveSessions
+};
@@ -0,0 +1,79 @@
+/**
+ * Request log filters
+ * GET /logs narrows the in-memory request log by path, method, status code,
+ * client IP and time range. Entries are { timestamp, method, path, query, ip,
+ * userAgent, status, latencyMs }.
+ */
+
+// Express reports IPv4 clients as ::ffff:1.2.3.4 on dual-stack sockets
+const normalizeIp = ip => String(ip || '').replace(/^::ffff:/, '');
+
+/**
+ * Parse a status filter: an exact code ("404") or a class ("4xx")
+ * Returns { min, max } or null if invalid
+ */
+function parseStatusFilter(text) {
+    const value = String(text).trim().toLowerCase();
+    if (/^[1-5]xx$/.test(value)) {
+        const base = parseInt(value[0]) * 100;
+        return { min: base, max: base + 99 };
+    }
+    if (/^[1-5]\d\d$/.test(value)) {
+        return { min: parseInt(value), max: parseInt(value) };
+    }
+    return null;
+}
+
+/**
+ * Validate the log filter params
+ * params: { path, method, status, ip, from, to }
+ * Returns { errors, filters }
+ */
+function parseLogFilters(params) {
+    const errors = [];
+    const filters = {};
+
+    if (params.path) {
+        filters.path = params.path;
+    }
+    if (params.method) {
+        filters.method = params.method.toUpperCase();
+    }
+    if (params.status) {
+        filters.status = parseStatusFilter(params.status);
+        if (!filters.status) {
+            errors.push({ parameter: 'status', invalid: params.status, expected: 'a status code such as 404, or a class such as 4xx' });
+        }
+    }
+    if (params.ip) {
+        filters.ip = params.ip;
+    }
+    ['from', 'to'].forEach(key => {
+        if (params[key]) {
+            filters[key] = new Date(params[key]);
+        }
+    });
+    if (filters.from && filters.to && filters.from > filters.to) {
+        errors.push({ parameter: 'from', invalid: params.from, expected: 'a time before to' });
+    }
+
+    return { errors, filters };
+}
+
+/**
+ * Whether a log entry passes the filters
+ * path matches the route and everything under it (/history also matches /history/3)
+ */
+function matchesLogFilters(entry, filters) {
+    const { path, method, status, ip, from, to } = filters;
+    const time = new Date(entry.timestamp);
+
+    return (!path || entry.path === path || entry.path.startsWith(`${path.replace(/\/$/, '')}/`)) &&
+        (!method || entry.method === method) &&
+        (!status || (entry.status !== null && entry.status >= status.min && entry.status <= status.max)) &&
+        (!ip || normalizeIp(entry.ip) === normalizeIp(ip)) &&
+        (!from || time >= from) &&
+        (!to || time <= to);
+}
+
+module.exports = { parseStatusFilter, parseLogFilters, matchesLogFilters };
@@ -0,0 +1,130 @@
+/**
+ * Prometheus metrics
+ * A small registry of counters, gauges and histograms rendered in the
+ * Prometheus text exposition format (version 0.0.4). Counters and histograms
+ * live in memory; gauges are read from a collect function at scrape time.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latency buckets in seconds
+const latencyBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatValue = value => value === Infinity ? '+Inf' : value === -Infinity ? '-Inf' : String(value);
+
+/**
+ * Render a label set: { method: 'GET' } -> {method="GET"}
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Series of one metric keyed by their label values, in labelNames order
+ */
+function createSeries(labelNames, initial) {
+    const series = new Map();
+    return {
+        get(labels = {}) {
+            const values = labelNames.map(name => labels[name] === undefined ? '' : String(labels[name]));
+            const key = JSON.stringify(values);
+            if (!series.has(key)) {
+                series.set(key, { labels: Object.fromEntries(labelNames.map((name, i) => [name, values[i]])), ...initial() });
+            }
+            return series.get(key);
+        },
+        values: () => [...series.values()]
+    };
+}
+
+/**
+ * Create a metrics registry
+ * Options:
+ *   - prefix: prepended to every metric name (default: none)
+ */
+function createMetrics({ prefix = '' } = {}) {
+    const metrics = [];
+
+    function register(metric) {
+        metrics.push({ ...metric, name: prefix + metric.name });
+        return metric;
+    }
+
+    return {
+        /**
+         * Counter that only goes up: inc(labels, amount = 1)
+         */
+        counter(name, help, labelNames = []) {
+            const series = createSeries(labelNames, () => ({ value: 0 }));
+            return register({
+                name,
+                help,
+                type: 'counter',
+                inc(labels, amount = 1) {
+                    series.get(labels).value += amount;
+                },
+                samples: fullName => series.values().map(item => `${fullName}${formatLabels(item.labels)} ${formatValue(item.value)}`)
+            });
+        },
+
+        /**
+         * Histogram of observed values: observe(labels, value)
+         */
+        histogram(name, help, labelNames = [], buckets = latencyBuckets) {
+            const series = createSeries(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+            return register({
+                name,
+                help,
+                type: 'histogram',
+                observe(labels, value) {
+                    const item = series.get(labels);
+                    buckets.forEach((bound, i) => {
+                        if (value <= bound) item.counts[i]++;
+                    });
+                    item.sum += value;
+                    item.count++;
+                },
+                samples: fullName => series.values().flatMap(item => [
+                    ...buckets.map((bound, i) =>
+                        `${fullName}_bucket${formatLabels({ ...item.labels, le: formatValue(bound) })} ${item.counts[i]}`),
+                    `${fullName}_bucket${formatLabels({ ...item.labels, le: '+Inf' })} ${item.count}`,
+                    `${fullName}_sum${formatLabels(item.labels)} ${formatValue(item.sum)}`,
+                    `${fullName}_count${formatLabels(item.labels)} ${item.count}`
+                ])
+            });
+        },
+
+        /**
+         * Gauge read at scrape time: collect() returns a number, or
+         * [{ labels, value }] for a gauge with labels
+         */
+        gauge(name, help, collect) {
+            return register({
+                name,
+                help,
+                type: 'gauge',
+                samples: fullName => {
+                    const result = collect();
+                    const items = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+                    return items.map(item => `${fullName}${formatLabels(item.labels || {})} ${formatValue(item.value)}`);
+                }
+            });
+        },
+
+        /**
+         * Every metric in the text exposition format
+         */
+        render() {
+            return metrics.map(metric => [
+                `# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+                `# TYPE ${metric.name} ${metric.type}`,
+                ...metric.samples(metric.name)
+            ].join('\n')).join('\n') + '\n';
+        }
+    };
+}
+
+module.exports = { CONTENT_TYPE, latencyBuckets, createMetrics };
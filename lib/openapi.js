@@ -0,0 +1,786 @@
+/**
+ * OpenAPI 3.1 description of the API
+ * Served at /openapi.json, used by lib/validation to check every request, and
+ * by GET /api to list the endpoints (grouped by tag, keyed by operationId).
+ */
+const data = require('../data.json');
+const { validMuscles, validDifficulties } = require('./exercises');
+const { tagVocabulary } = require('./tags');
+const { splitTemplates } = require('./plans');
+const { periodizationTypes } = require('./programs');
+const { weightUnits } = require('./history');
+const { sortFields } = require('./search');
+const { difficultyLevels } = require('./alternatives');
+const { hiitFormats } = require('./hiit');
+const { liveSources, controlActions } = require('./live');
+const { recoveryModes } = require('./recovery');
+const { planNames } = require('./usage');
+const { duplicateModes } = require('./imports');
+
+const API_VERSION = '5.0.0';
+
+// Highest page of GET /exercises; past it the page number is an error, not an empty page
+const MAX_PAGE = 10000;
+
+const unique = values => [...new Set(values)];
+const stretchAreas = unique((data.stretches || []).map(s => s.targetArea));
+const nutritionCategories = unique((data.nutritionTips || []).map(t => t.category));
+const warmupTypes = [...unique((data.warmups || []).map(w => w.type)), 'full'];
+
+// Schemas ----------------------------------------------------------------------
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const tagsSchema = {
+    type: 'object',
+    description: 'Exercise classification (see GET /tags)',
+    properties: {
+        pattern: { type: ['string', 'null'], enum: [...tagVocabulary.pattern, null] },
+        mechanic: { type: ['string', 'null'], enum: [...tagVocabulary.mechanic, null] },
+        force: { type: ['string', 'null'], enum: [...tagVocabulary.force, null] },
+        unilateral: { type: 'boolean' },
+        plyometric: { type: 'boolean' },
+        hiit: { type: 'boolean', description: 'Suited to timed intervals (GET /hiit)' }
+    },
+    additionalProperties: false
+};
+
+const exerciseFields = {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    muscle: { type: 'string', enum: validMuscles },
+    difficulty: { type: 'string', enum: validDifficulties },
+    description: { type: 'string' },
+    equipment: { type: 'string', description: 'Free text, e.g. "dumbbells, bench"' },
+    sets: { type: 'integer', minimum: 1, maximum: 10 },
+    reps: { type: ['integer', 'string'], description: 'e.g. 12, "8-12", "30 seconds"' },
+    duration: { type: 'integer', minimum: 1, description: 'Seconds' },
+    calories: { type: 'number', minimum: 0 },
+    met: { type: ['number', 'null'], minimum: 1, maximum: 25, description: 'Metabolic equivalent; estimated from the tags when null' },
+    tags: ref('Tags')
+};
+
+const splitSchema = {
+    type: 'object',
+    required: ['days'],
+    properties: {
+        name: { type: 'string' },
+        days: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['name', 'muscles'],
+                properties: {
+                    name: { type: 'string' },
+                    muscles: { type: 'array', minItems: 1, items: { type: 'string', enum: validMuscles } },
+                    force: { type: 'string', enum: ['push', 'pull'], description: 'Only exercises with this force tag' }
+                }
+            }
+        }
+    }
+};
+
+const tagFilterFields = {
+    pattern: { type: ['array', 'string'], items: { type: 'string', enum: tagVocabulary.pattern } },
+    mechanic: { type: ['array', 'string'], items: { type: 'string', enum: tagVocabulary.mechanic } },
+    force: { type: ['array', 'string'], items: { type: 'string', enum: tagVocabulary.force } },
+    unilateral: { type: ['boolean', 'string'] },
+    plyometric: { type: ['boolean', 'string'] },
+    hiit: { type: ['boolean', 'string'] }
+};
+
+const planFields = {
+    split: ref('SplitDefinition'),
+    difficulty: { type: 'string', enum: validDifficulties },
+    days: { type: 'integer', minimum: 1 },
+    equipment: { type: 'string' },
+    progression: { type: ['boolean', 'string'] },
+    start: { type: 'string', format: 'date' },
+    ...tagFilterFields
+};
+
+const loggedSetSchema = {
+    type: 'object',
+    properties: {
+        reps: { type: 'integer', minimum: 0 },
+        weight: { type: 'number', minimum: 0 },
+        unit: { type: 'string', enum: weightUnits },
+        rpe: { type: ['number', 'null'], minimum: 1, maximum: 10 },
+        rest: { type: ['number', 'null'], minimum: 0, description: 'Seconds' },
+        duration: { type: ['number', 'null'], minimum: 0, description: 'Seconds' },
+        completed: { type: 'boolean' }
+    }
+};
+
+const bodyWeightFields = {
+    bodyWeight: { type: ['number', 'null'], minimum: 1, description: 'For calorie estimates' },
+    bodyWeightUnit: { type: 'string', enum: weightUnits }
+};
+
+const historyFields = {
+    exercises: {
+        type: 'array',
+        minItems: 1,
+        items: {
+            type: 'object',
+            required: ['id', 'sets'],
+            properties: {
+                id: { type: 'integer' },
+                sets: { type: 'array', minItems: 1, items: ref('LoggedSet') },
+                notes: { type: 'string' }
+            }
+        }
+    },
+    workoutType: { type: 'string' },
+    duration: { type: ['number', 'null'], minimum: 0, description: 'Minutes' },
+    notes: { type: 'string' },
+    performedAt: { type: 'string', format: 'date-time' },
+    ...bodyWeightFields
+};
+
+const schemas = {
+    Error: {
+        type: 'object',
+        required: ['error', 'code', 'status'],
+        properties: {
+            error: { type: 'string', description: 'Human-readable message' },
+            code: { type: 'string', description: 'Machine-readable code, e.g. bad_request, not_found' },
+            status: { type: 'integer' },
+            details: { type: 'object', description: 'Route-specific extras such as validOptions or errors' }
+        }
+    },
+    Tags: tagsSchema,
+    Exercise: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            ...exerciseFields,
+            builtIn: { type: 'boolean' },
+            custom: { type: 'boolean' },
+            ownerId: { type: 'integer' }
+        }
+    },
+    ExerciseInput: {
+        type: 'object',
+        required: ['name', 'muscle', 'difficulty'],
+        properties: exerciseFields,
+        additionalProperties: false
+    },
+    ExercisePatch: {
+        type: 'object',
+        minProperties: 1,
+        properties: exerciseFields,
+        additionalProperties: false
+    },
+    SplitDefinition: splitSchema,
+    LoggedSet: loggedSetSchema,
+    HistoryInput: { type: 'object', required: ['exercises'], properties: historyFields },
+    HistoryPatch: { type: 'object', properties: historyFields }
+};
+
+// Parameters ---------------------------------------------------------------------
+
+const query = (name, schema, description, extra = {}) => ({ name, in: 'query', description, schema, ...extra });
+const commaList = (name, items, description) =>
+    query(name, { type: 'array', minItems: 1, items }, description, { style: 'form', explode: false });
+
+const idParam = { name: 'id', in: 'path', required: true, description: 'Exercise ID', schema: { type: 'integer', minimum: 1 } };
+const historyIdParam = { ...idParam, description: 'History entry ID' };
+const userIdParam = { ...idParam, description: 'User ID' };
+const liveSessionIdParam = { ...idParam, description: 'Live session ID', schema: { type: 'string' } };
+
+const params = {
+    muscle: query('muscle', { type: 'string', enum: validMuscles }, 'Muscle group'),
+    difficulty: query('difficulty', { type: 'string', enum: validDifficulties }, 'Difficulty'),
+    equipment: query('equipment', { type: 'string' }, 'Comma list of available gear (see GET /equipment), or "none" for bodyweight only'),
+    seed: query('seed', { type: 'string' }, 'Makes the result reproducible; every generator echoes the seed it used'),
+    progression: query('progression', { type: 'boolean' }, 'Prescribe load and reps from your logged history'),
+    unit: query('unit', { type: 'string', enum: weightUnits }, 'Weight unit (default: kg)'),
+    pattern: commaList('pattern', { type: 'string', enum: tagVocabulary.pattern }, 'Movement patterns to include'),
+    mechanic: commaList('mechanic', { type: 'string', enum: tagVocabulary.mechanic }, 'Mechanics to include'),
+    force: commaList('force', { type: 'string', enum: tagVocabulary.force }, 'Force types to include'),
+    unilateral: query('unilateral', { type: 'boolean' }, 'Only unilateral (true) or bilateral (false) exercises'),
+    plyometric: query('plyometric', { type: 'boolean' }, 'Only plyometric (true) or non-plyometric (false) exercises'),
+    hiit: query('hiit', { type: 'boolean' }, 'Only exercises suited (true) or not suited (false) to HIIT'),
+    start: query('start', { type: 'string', format: 'date' }, 'First calendar day for ics exports, YYYY-MM-DD (default: today)'),
+    bodyWeight: query('bodyWeight', { type: 'number', minimum: 1 }, 'Body weight for calorie estimates (default: your profile, else 70 kg)'),
+    bodyWeightUnit: query('bodyWeightUnit', { type: 'string', enum: weightUnits }, 'Unit of bodyWeight (default: kg)')
+};
+
+const bodyWeightParams = [params.bodyWeight, params.bodyWeightUnit];
+
+const tagFilterParams = [params.pattern, params.mechanic, params.force, params.unilateral, params.plyometric, params.hiit];
+
+const format = (...formats) => query('format', { type: 'string', enum: formats },
+    'Response format; overrides the Accept header (default: json)');
+
+const planParams = [
+    params.difficulty,
+    query('days', { type: 'integer', minimum: 1 }, 'Workout days per week (default: 5, capped at 7)'),
+    query('split', { type: 'string', enum: Object.keys(splitTemplates) }, 'Split template (default: based on difficulty)'),
+    params.equipment,
+    ...tagFilterParams,
+    params.seed
+];
+
+// Responses --------------------------------------------------------------------
+
+const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: ref('Error') } }
+});
+
+const responses = {
+    BadRequest: errorResponse('Invalid parameters or body'),
+    Unauthorized: errorResponse('Missing or invalid API key'),
+    Forbidden: errorResponse('Not allowed for this caller'),
+    NotFound: errorResponse('Not found'),
+    Conflict: errorResponse('Conflicts with an existing resource'),
+    TooManyRequests: errorResponse('Rate limit or quota of your plan exceeded'),
+    AdminUnauthorized: errorResponse('Missing or invalid admin key'),
+    AdminDisabled: errorResponse('Admin endpoints are disabled (ADMIN_KEY is not set)')
+};
+
+const errorRef = name => ({ $ref: `#/components/responses/${name}` });
+
+const ok = (description, schema = { type: 'object' }, extraTypes = []) => ({
+    description,
+    content: {
+        'application/json': { schema },
+        ...Object.fromEntries(extraTypes.map(type => [type, { schema: { type: 'string' } }]))
+    }
+});
+
+/**
+ * An operation with the error responses every route can return
+ */
+function operation(group, operationId, summary, { parameters = [], requestBody, extraBodyTypes = [], response, errors = [], status = '200' } = {}) {
+    const result = {
+        tags: [group],
+        operationId,
+        summary,
+        ...(parameters.length > 0 && { parameters }),
+        ...(requestBody && {
+            requestBody: {
+                required: true,
+                content: {
+                    'application/json': { schema: requestBody },
+                    ...Object.fromEntries(extraBodyTypes.map(type => [type, { schema: { type: 'string' } }]))
+                }
+            }
+        }),
+        responses: {
+            [status]: response || ok('Success'),
+            400: errorRef('BadRequest'),
+            401: errorRef('Unauthorized'),
+            429: errorRef('TooManyRequests')
+        }
+    };
+    errors.forEach(name => {
+        const code = { Forbidden: 403, NotFound: 404, Conflict: 409 }[name];
+        result.responses[code] = errorRef(name);
+    });
+    return result;
+}
+
+/**
+ * An operator-only operation: needs X-Admin-Key instead of an API key
+ */
+function adminOperation(operationId, summary, options = {}) {
+    const result = operation('meta', operationId, summary, options);
+    result.security = [{ adminKey: [] }];
+    result.responses[401] = errorRef('AdminUnauthorized');
+    result.responses[403] = errorRef('AdminDisabled');
+    return result;
+}
+
+// Paths ------------------------------------------------------------------------
+
+const paths = {
+    '/exercises': {
+        get: operation('core', 'exercises', 'List, search, filter and sort exercises (built-in and your custom ones)', {
+            parameters: [
+                params.muscle,
+                params.difficulty,
+                query('equipment', { type: 'string' }, 'Substring match on the equipment text'),
+                query('q', { type: 'string' }, 'Typo-tolerant search over names and descriptions'),
+                query('sort', { type: 'string', enum: Object.keys(sortFields) }, 'Sort field (default: relevance with q, else catalog order)'),
+                query('order', { type: 'string', enum: ['asc', 'desc'] }, 'Sort order (default: asc)'),
+                ...tagFilterParams,
+                query('page', { type: 'integer', minimum: 1, maximum: MAX_PAGE }, 'Page number (default: 1)'),
+                query('limit', { type: 'integer', minimum: 1 }, 'Items per page (default: 10, capped at 50)')
+            ]
+        }),
+        post: operation('user', 'addExercise', 'Add a custom exercise', {
+            requestBody: ref('ExerciseInput'),
+            status: '201',
+            response: ok('Created', { type: 'object', properties: { exercise: ref('Exercise') } }),
+            errors: ['Conflict']
+        })
+    },
+    // Before /exercises/{id}, which would also match these paths
+    '/exercises/import': {
+        post: operation('user', 'importExercises', 'Add many custom exercises from JSON or CSV, with a dry run and per-row errors', {
+            parameters: [
+                query('dryRun', { type: 'boolean' }, 'Only report what each row would do'),
+                query('onDuplicate', { type: 'string', enum: duplicateModes }, 'Names already in your catalog: skip them or update your custom exercise (default: skip)')
+            ],
+            requestBody: {
+                type: 'object',
+                required: ['exercises'],
+                properties: {
+                    exercises: { type: 'array', items: { type: 'object' }, minItems: 1, description: 'Exercises with the POST /exercises fields' }
+                }
+            },
+            extraBodyTypes: ['text/csv'],
+            status: '201',
+            errors: ['Conflict']
+        })
+    },
+    '/exercises/export': {
+        get: operation('user', 'exportExercises', 'Your custom exercises as JSON or CSV, ready to import elsewhere', {
+            parameters: [format('json', 'csv')],
+            response: ok('Your custom exercises', { type: 'object' }, ['text/csv'])
+        })
+    },
+    '/exercises/{id}': {
+        put: operation('user', 'replaceExercise', 'Replace one of your custom exercises', {
+            parameters: [idParam],
+            requestBody: ref('ExerciseInput'),
+            errors: ['Forbidden', 'NotFound', 'Conflict']
+        }),
+        patch: operation('user', 'updateExercise', 'Update fields of one of your custom exercises (tags are merged)', {
+            parameters: [idParam],
+            requestBody: ref('ExercisePatch'),
+            errors: ['Forbidden', 'NotFound', 'Conflict']
+        }),
+        delete: operation('user', 'deleteExercise', 'Delete one of your custom exercises', {
+            parameters: [idParam],
+            errors: ['Forbidden', 'NotFound']
+        })
+    },
+    '/exercise/{id}': {
+        get: operation('core', 'exerciseById', 'Get one exercise with its categories', {
+            parameters: [idParam],
+            response: ok('The exercise', ref('Exercise')),
+            errors: ['NotFound']
+        })
+    },
+    '/exercise/{id}/progress': {
+        get: operation('core', 'exerciseProgress', 'Records and per-session series for one exercise from your history', {
+            parameters: [idParam, params.unit],
+            errors: ['NotFound']
+        })
+    },
+    '/exercise/{id}/alternatives': {
+        get: operation('core', 'exerciseAlternatives', 'Ranked substitutes for an exercise', {
+            parameters: [
+                idParam,
+                params.equipment,
+                query('maxDifficulty', { type: 'string', enum: difficultyLevels }, 'Hardest difficulty to suggest'),
+                query('limit', { type: 'integer', minimum: 1 }, 'Number of alternatives (default: 5, capped at 20)')
+            ],
+            errors: ['NotFound']
+        })
+    },
+    '/random-exercise': {
+        get: operation('core', 'randomExercise', 'Pick one random exercise', {
+            parameters: [params.muscle, params.difficulty, ...tagFilterParams, params.seed],
+            errors: ['NotFound']
+        })
+    },
+    '/muscles': {
+        get: operation('core', 'muscles', 'Muscle groups with exercise counts')
+    },
+    '/equipment': {
+        get: operation('core', 'equipment', 'Canonical equipment vocabulary with exercise counts')
+    },
+    '/tags': {
+        get: operation('core', 'tags', 'Classification tags with exercise counts')
+    },
+    '/nutrition': {
+        get: operation('core', 'nutrition', 'Nutrition tips', {
+            parameters: [query('category', { type: 'string', enum: [...nutritionCategories, 'all'] }, 'Tip category (default: all)')]
+        })
+    },
+    '/generate-workout': {
+        get: operation('workouts', 'generateWorkout', 'Random workout matching the filters', {
+            parameters: [
+                params.muscle,
+                params.difficulty,
+                query('count', { type: 'integer', minimum: 1 }, 'Number of exercises (default: 3, capped at 10)'),
+                params.equipment,
+                params.progression,
+                query('recovery', { type: 'string', enum: recoveryModes }, 'Skip (exclude) or deprioritize (prefer) muscles still recovering from your logged sessions'),
+                ...tagFilterParams,
+                params.seed,
+                format('json', 'markdown', 'md', 'html')
+            ],
+            response: ok('The workout', { type: 'object' }, ['text/markdown', 'text/html']),
+            errors: ['NotFound']
+        })
+    },
+    '/workout-plan': {
+        get: operation('workouts', 'workoutPlan', 'Weekly plan from a split template', {
+            parameters: [
+                ...planParams,
+                params.progression,
+                format('json', 'ics', 'ical', 'calendar', 'markdown', 'md', 'html'),
+                params.start,
+                query('weeks', { type: 'integer', minimum: 1 }, 'Weeks the ics events repeat (default: 1, capped at 52)')
+            ],
+            response: ok('The plan', { type: 'object' }, ['text/calendar', 'text/markdown', 'text/html'])
+        }),
+        post: operation('workouts', 'customWorkoutPlan', 'Weekly plan from your own split definition', {
+            parameters: [params.seed, format('json', 'ics', 'ical', 'calendar', 'markdown', 'md', 'html')],
+            requestBody: {
+                type: 'object',
+                required: ['split'],
+                properties: { ...planFields, weeks: { type: 'integer', minimum: 1 } }
+            },
+            response: ok('The plan', { type: 'object' }, ['text/calendar', 'text/markdown', 'text/html'])
+        })
+    },
+    '/program': {
+        get: operation('workouts', 'program', 'Periodized multi-week program', {
+            parameters: [
+                query('weeks', { type: 'integer', minimum: 1 }, 'Program length (default: 8, between 4 and 12)'),
+                query('periodization', { type: 'string', enum: periodizationTypes }, 'Periodization model (default: linear)'),
+                query('deloadEvery', { type: 'integer', minimum: 0 }, 'Every Nth week is a deload, 0 for none (default: 4)'),
+                ...planParams,
+                format('json', 'ics', 'ical', 'calendar', 'markdown', 'md', 'html'),
+                params.start
+            ],
+            response: ok('The program', { type: 'object' }, ['text/calendar', 'text/markdown', 'text/html'])
+        }),
+        post: operation('workouts', 'customProgram', 'Periodized program from your own split definition', {
+            parameters: [params.seed, format('json', 'ics', 'ical', 'calendar', 'markdown', 'md', 'html')],
+            requestBody: {
+                type: 'object',
+                required: ['split'],
+                properties: {
+                    ...planFields,
+                    weeks: { type: 'integer', minimum: 1 },
+                    periodization: { type: 'string', enum: periodizationTypes },
+                    deloadEvery: { type: 'integer', minimum: 0 }
+                }
+            },
+            response: ok('The program', { type: 'object' }, ['text/calendar', 'text/markdown', 'text/html'])
+        })
+    },
+    '/splits': {
+        get: operation('workouts', 'splits', 'Built-in split templates')
+    },
+    '/superset': {
+        get: operation('workouts', 'superset', 'Superset pairs', {
+            parameters: [
+                query('type', { type: 'string', enum: ['push-pull', 'upper-lower', 'same-muscle'] }, 'Pairing (default: push-pull)'),
+                query('sets', { type: 'integer', minimum: 1 }, 'Number of pairs (default: 3, capped at 5)'),
+                params.equipment,
+                params.seed,
+                format('json', 'markdown', 'md', 'html')
+            ],
+            response: ok('The supersets', { type: 'object' }, ['text/markdown', 'text/html'])
+        })
+    },
+    '/hiit': {
+        get: operation('workouts', 'hiit', 'HIIT workout with a timeline', {
+            parameters: [
+                query('type', { type: 'string', enum: Object.keys(hiitFormats) }, 'Format (default: intervals)'),
+                query('rounds', { type: 'integer', minimum: 1 }, 'Rounds (intervals: default 4, up to 20; circuit: default 3, up to 10)'),
+                query('work', { type: 'integer', minimum: 1 }, 'Work interval in seconds (default: 40; up to 50 for emom)'),
+                query('rest', { type: 'integer', minimum: 0 }, 'Rest between exercises in seconds (default: 20)'),
+                query('count', { type: 'integer', minimum: 1 }, 'Exercises in a tabata, emom, amrap or circuit'),
+                query('minutes', { type: 'integer', minimum: 1 }, 'Length of an emom (default: 12) or amrap (default: 15)'),
+                query('roundRest', { type: 'integer', minimum: 0 }, 'Break between tabata blocks or circuit rounds in seconds (default: 60)'),
+                params.equipment,
+                ...bodyWeightParams,
+                params.seed
+            ]
+        })
+    },
+    '/warm-up': {
+        get: operation('workouts', 'warmUp', 'Warm-up routine', {
+            parameters: [
+                query('type', { type: 'string', enum: warmupTypes }, 'Warm-up type (default: full)'),
+                query('count', { type: 'integer', minimum: 1 }, 'Number of warm-up exercises (default: 5)'),
+                ...bodyWeightParams,
+                params.seed
+            ]
+        })
+    },
+    '/session': {
+        get: operation('workouts', 'session', 'Time-budgeted session with warm-up and cool-down', {
+            parameters: [
+                query('minutes', { type: 'integer', minimum: 1 }, 'Target length (default: 45, between 15 and 180)'),
+                commaList('muscles', { type: 'string', enum: validMuscles }, 'Muscle groups for the main block (default: all)'),
+                params.difficulty,
+                params.equipment,
+                ...tagFilterParams,
+                ...bodyWeightParams,
+                params.seed,
+                format('json', 'markdown', 'md', 'html')
+            ],
+            response: ok('The session', { type: 'object' }, ['text/markdown', 'text/html'])
+        })
+    },
+    '/swap': {
+        post: operation('workouts', 'swapExercise', 'Swap one exercise of a workout or plan for its best alternative', {
+            requestBody: {
+                type: 'object',
+                required: ['exerciseId'],
+                properties: {
+                    workout: { type: 'array', items: { type: ['object', 'integer'] } },
+                    plan: { type: 'array', items: { type: 'object' } },
+                    day: { type: 'string' },
+                    exerciseId: { type: 'integer' },
+                    equipment: { type: 'string' },
+                    maxDifficulty: { type: 'string', enum: difficultyLevels },
+                    exclude: { type: 'array', items: { type: 'integer' } }
+                }
+            },
+            errors: ['NotFound']
+        })
+    },
+    '/stretches': {
+        get: operation('workouts', 'stretches', 'Stretching routine', {
+            parameters: [
+                query('targetArea', { type: 'string', enum: [...stretchAreas, 'all'] }, 'Target area (default: all)'),
+                query('count', { type: 'integer', minimum: 1 }, 'Number of stretches (default: 5)'),
+                params.seed
+            ]
+        })
+    },
+    '/cooldown': {
+        get: operation('workouts', 'cooldown', 'Cool-down routine with stretches and tips', {
+            parameters: [params.seed]
+        })
+    },
+    '/users': {
+        post: operation('user', 'createUser', 'Create a user and issue a personal API key', {
+            requestBody: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    email: { type: ['string', 'null'] },
+                    ...bodyWeightFields,
+                    plan: { type: 'string', enum: planNames, description: 'Usage plan of the key (default: free); requires the master or admin key' }
+                }
+            },
+            status: '201',
+            errors: ['Forbidden']
+        })
+    },
+    '/users/me': {
+        get: operation('user', 'profile', 'Your profile and data counts'),
+        patch: operation('user', 'updateProfile', 'Update your name, email or body weight', {
+            requestBody: {
+                type: 'object',
+                minProperties: 1,
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    email: { type: ['string', 'null'] },
+                    ...bodyWeightFields
+                },
+                additionalProperties: false
+            },
+            errors: ['Forbidden']
+        })
+    },
+    '/live-sessions': {
+        get: operation('workouts', 'liveSessions', 'Your live sessions'),
+        post: operation('workouts', 'startLiveSession', 'Create a guided session from a generated workout', {
+            requestBody: {
+                type: 'object',
+                required: ['source', 'workout'],
+                properties: {
+                    source: { type: 'string', enum: liveSources },
+                    workout: { type: 'object', description: 'The JSON response of GET /hiit, /superset, /warm-up or /stretches' },
+                    ...bodyWeightFields
+                },
+                additionalProperties: false
+            },
+            status: '201',
+            errors: ['Conflict']
+        })
+    },
+    '/live-sessions/{id}': {
+        get: operation('workouts', 'liveSession', 'State, progress and timeline of a live session', {
+            parameters: [liveSessionIdParam],
+            errors: ['NotFound']
+        })
+    },
+    '/live-sessions/{id}/events': {
+        get: operation('workouts', 'liveSessionEvents', 'Server-Sent Events stream of cues for a live session', {
+            parameters: [liveSessionIdParam],
+            response: { description: 'Event stream: state, start, rest, next, halfway, tick, paused, resumed, skipped, then done (after save-failed when the history entry could not be saved) or stopped', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+            errors: ['NotFound']
+        })
+    },
+    '/live-sessions/{id}/control': {
+        post: operation('workouts', 'controlLiveSession', 'Start, pause, resume, skip or stop a live session', {
+            parameters: [liveSessionIdParam],
+            requestBody: {
+                type: 'object',
+                required: ['action'],
+                properties: { action: { type: 'string', enum: controlActions } },
+                additionalProperties: false
+            },
+            errors: ['NotFound', 'Conflict']
+        })
+    },
+    '/favorites': {
+        get: operation('user', 'favorites', 'Your favorite exercises')
+    },
+    '/favorites/{id}': {
+        post: operation('user', 'addFavorite', 'Add an exercise to your favorites', {
+            parameters: [idParam],
+            errors: ['NotFound']
+        }),
+        delete: operation('user', 'removeFavorite', 'Remove an exercise from your favorites', {
+            parameters: [idParam],
+            errors: ['NotFound']
+        })
+    },
+    '/history': {
+        get: operation('user', 'history', 'Your logged workouts, newest first', {
+            parameters: [
+                query('limit', { type: 'integer', minimum: 1 }, 'Most recent workouts (default: 10, capped at 50; csv exports all unless given)'),
+                format('json', 'csv')
+            ],
+            response: ok('The history', { type: 'object' }, ['text/csv'])
+        }),
+        post: operation('user', 'logWorkout', 'Log a workout set by set', {
+            requestBody: ref('HistoryInput'),
+            status: '201'
+        }),
+        delete: operation('user', 'clearHistory', 'Delete all your logged workouts')
+    },
+    '/history/{id}': {
+        get: operation('user', 'historyEntry', 'One logged workout', {
+            parameters: [historyIdParam],
+            errors: ['NotFound']
+        }),
+        patch: operation('user', 'editWorkout', 'Edit a logged workout', {
+            parameters: [historyIdParam],
+            requestBody: ref('HistoryPatch'),
+            errors: ['NotFound']
+        }),
+        delete: operation('user', 'deleteWorkout', 'Delete a logged workout', {
+            parameters: [historyIdParam],
+            errors: ['NotFound']
+        })
+    },
+    '/records': {
+        get: operation('user', 'records', 'Personal records for every exercise you logged', {
+            parameters: [params.unit]
+        })
+    },
+    '/recovery': {
+        get: operation('user', 'recovery', 'Readiness of each muscle group from your logged sessions')
+    },
+    '/analytics': {
+        get: operation('user', 'analytics', 'Weekly sets and volume per muscle, frequency, streaks and push/pull balance from your history', {
+            parameters: [
+                query('from', { type: 'string', format: 'date' }, 'First day, YYYY-MM-DD (default: 12 weeks before to)'),
+                query('to', { type: 'string', format: 'date' }, 'Last day, YYYY-MM-DD (default: today)'),
+                params.unit
+            ]
+        })
+    },
+    '/usage': {
+        get: operation('user', 'usage', 'Your plan, its limits and your usage: this window, today, this month and the last 30 days')
+    },
+    '/users/{id}/plan': {
+        put: adminOperation('setPlan', "Change a user's usage plan", {
+            parameters: [userIdParam],
+            requestBody: {
+                type: 'object',
+                required: ['plan'],
+                properties: { plan: { type: 'string', enum: planNames } },
+                additionalProperties: false
+            },
+            errors: ['NotFound']
+        })
+    },
+    '/stats': {
+        get: adminOperation('stats', 'API usage statistics')
+    },
+    '/logs': {
+        get: adminOperation('logs', 'Recent request logs with status and latency, newest first', {
+            parameters: [
+                query('path', { type: 'string' }, 'Route prefix, e.g. /history also matches /history/3'),
+                query('method', { type: 'string', enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'] }, 'HTTP method'),
+                query('status', { type: 'string' }, 'Status code such as 404, or a class such as 4xx'),
+                query('ip', { type: 'string' }, 'Client IP'),
+                query('from', { type: 'string', format: 'date-time' }, 'Earliest request time (ISO 8601)'),
+                query('to', { type: 'string', format: 'date-time' }, 'Latest request time (ISO 8601)'),
+                query('limit', { type: 'integer', minimum: 1 }, 'Number of entries (default: 50, capped at 100)')
+            ]
+        })
+    },
+    '/metrics': {
+        get: {
+            ...adminOperation('metrics', 'Prometheus metrics: requests, latency, rate limiting, generator usage and data gauges', {
+                response: { description: 'Metrics in the Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } }
+            }),
+            security: [{ adminKey: [] }, { adminBearer: [] }]
+        }
+    },
+    '/health': {
+        get: operation('meta', 'health', 'Health check (no API key needed)')
+    },
+    '/api': {
+        get: operation('meta', 'api', 'API overview with the endpoint index')
+    },
+    '/openapi.json': {
+        get: operation('meta', 'openapi', 'This OpenAPI document')
+    }
+};
+
+const spec = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Workout Generator API',
+        version: API_VERSION,
+        description: 'Generates workouts, plans and programs from an exercise catalog, and tracks logged training.'
+    },
+    servers: [{ url: '/' }],
+    security: [{ apiKey: [] }, { rapidApiKey: [] }],
+    tags: [
+        { name: 'core', description: 'Exercise catalog' },
+        { name: 'workouts', description: 'Generators' },
+        { name: 'user', description: 'Your data: custom exercises, favorites, history' },
+        { name: 'meta', description: 'Service information' }
+    ],
+    paths,
+    components: {
+        schemas,
+        responses,
+        securitySchemes: {
+            apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            rapidApiKey: { type: 'apiKey', in: 'header', name: 'X-RapidAPI-Key' },
+            adminKey: { type: 'apiKey', in: 'header', name: 'X-Admin-Key', description: 'ADMIN_KEY, for /logs, /stats, /metrics and plan changes' },
+            adminBearer: { type: 'http', scheme: 'bearer', description: 'ADMIN_KEY as a bearer token, for /metrics scrapers' }
+        }
+    }
+};
+
+/**
+ * Endpoints grouped by tag and keyed by operationId, e.g.
+ * { core: { exerciseById: 'GET /exercise/:id' } }
+ */
+function endpointIndex(document) {
+    const index = {};
+    Object.entries(document.paths).forEach(([path, methods]) => {
+        Object.entries(methods).forEach(([method, op]) => {
+            const group = op.tags[0];
+            index[group] = index[group] || {};
+            index[group][op.operationId] = `${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ':$1')}`;
+        });
+    });
+    return index;
+}
+
+module.exports = { API_VERSION, spec, endpointIndex };
@@ -0,0 +1,160 @@
+/**
+ * Progressive overload
+ * Prescribes the next session's load and rep target for an exercise from
+ * the caller's last logged sessions, with the reason for each target.
+ */
+const { collectSessions, convertWeight } = require('./progress');
+
+// Smallest sensible jump per unit; lower body moves in bigger steps
+const increments = {
+    kg: { upper: 2.5, lower: 5 },
+    lb: { upper: 5, lower: 10 }
+};
+
+const BACK_OFF = 0.1;
+
+/**
+ * Parse "8-10", "12", "10-12 each" into { min, max } (null for timed or distance reps)
+ */
+function parseRepRange(reps) {
+    const match = /^(\d+)(?:-(\d+))?(?:\s+(?:each(?:\s+side)?|total))?$/.exec(String(reps).trim());
+    if (!match) return null;
+    const min = parseInt(match[1]);
+    return { min, max: match[2] ? parseInt(match[2]) : min };
+}
+
+/**
+ * Round a weight to the nearest usable increment
+ */
+function roundToIncrement(weight, increment) {
+    return Math.round(weight / increment) * increment;
+}
+
+/**
+ * Whether a session completed at least `minSets` sets, none failed, all with `reps`+ reps
+ */
+function hitEverySet(session, reps, minSets) {
+    return session.sets.length === session.attempted &&
+        session.sets.length >= minSets &&
+        session.sets.every(set => set.reps >= reps);
+}
+
+/**
+ * Suggest the next session for one exercise
+ * Returns { sets, reps, weight, unit, action, reason, lastSession }
+ */
+function suggestNextSession(exercise, history) {
+    const sets = exercise.sets || 3;
+    const range = parseRepRange(exercise.reps);
+    const base = { sets, reps: exercise.reps, weight: null, unit: null };
+
+    if (!range) {
+        return {
+            ...base,
+            action: 'hold',
+            reason: `"${exercise.reps}" is timed or distance based; repeat it and aim to beat your last effort.`,
+            lastSession: null
+        };
+    }
+
+    const sessions = collectSessions(history, exercise.id);
+    if (sessions.length === 0) {
+        return {
+            ...base,
+            action: 'baseline',
+            reason: exercise.equipment === 'none'
+                ? `No logged sessions yet. Do up to ${range.max} clean reps per set and log them.`
+                : `No logged sessions yet. Pick a load you can lift for ${range.max} reps with about 2 reps in reserve and log it.`,
+            lastSession: null
+        };
+    }
+
+    const last = sessions[sessions.length - 1];
+    const previous = sessions[sessions.length - 2];
+    const unit = last.unit;
+    const topWeightKg = Math.max(...last.sets.map(set => set.weight), 0);
+    const topWeight = Math.round(convertWeight(topWeightKg, 'kg', unit) * 10) / 10;
+    const increment = increments[unit][exercise.muscle === 'legs' ? 'lower' : 'upper'];
+    const lastSession = {
+        date: last.date,
+        historyId: last.historyId,
+        weight: topWeight,
+        unit,
+        reps: last.sets.map(set => set.reps)
+    };
+
+    // Bodyweight: progress with reps instead of load
+    if (topWeightKg === 0) {
+        const best = Math.max(...last.sets.map(set => set.reps), 0);
+        if (hitEverySet(last, range.max, sets)) {
+            return {
+                ...base,
+                reps: `${range.max + 2}`,
+                action: 'increase',
+                reason: `Hit ${range.max}+ reps on every set last time. Add 2 reps per set, or move to a harder variation.`,
+                lastSession
+            };
+        }
+        return {
+            ...base,
+            reps: `${Math.min(range.max, Math.max(range.min, best + 1))}`,
+            action: 'hold',
+            reason: `Best set last time was ${best} reps. Aim for one more rep per set until you reach ${range.max} on all sets.`,
+            lastSession
+        };
+    }
+
+    if (hitEverySet(last, range.max, sets)) {
+        const weight = roundToIncrement(topWeight + increment, increment);
+        return {
+            ...base,
+            reps: `${range.min}`,
+            weight,
+            unit,
+            action: 'increase',
+            reason: `Hit the top of the range (${range.max} reps) on all ${last.sets.length} sets at ${topWeight} ${unit}. Add ${increment} ${unit} and restart at ${range.min} reps.`,
+            lastSession
+        };
+    }
+
+    const missedMin = !hitEverySet(last, range.min, 1);
+    const missedMinBefore = previous && !hitEverySet(previous, range.min, 1);
+
+    if (missedMin && missedMinBefore) {
+        const weight = roundToIncrement(topWeight * (1 - BACK_OFF), increment);
+        return {
+            ...base,
+            reps: `${range.min}-${range.max}`,
+            weight,
+            unit,
+            action: 'decrease',
+            reason: `Fell short of ${range.min} reps in the last two sessions. Back off ${BACK_OFF * 100}% to ${weight} ${unit} and build back up.`,
+            lastSession
+        };
+    }
+
+    if (missedMin) {
+        return {
+            ...base,
+            reps: `${range.min}`,
+            weight: topWeight,
+            unit,
+            action: 'hold',
+            reason: `Missed ${range.min} reps on at least one set at ${topWeight} ${unit}. Stay at this weight and get ${range.min} on every set.`,
+            lastSession
+        };
+    }
+
+    const lowest = Math.min(...last.sets.map(set => set.reps));
+    return {
+        ...base,
+        reps: `${Math.min(range.max, lowest + 1)}`,
+        weight: topWeight,
+        unit,
+        action: 'hold',
+        reason: `All sets within ${range.min}-${range.max} reps at ${topWeight} ${unit}. Keep the weight and add a rep until every set reaches ${range.max}.`,
+        lastSession
+    };
+}
+
+module.exports = { parseRepRange, suggestNextSession };
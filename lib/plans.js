@@ -0,0 +1,150 @@
+/**
+ * Weekly plan builder
+ * Lays a training split out over a 7-day week and fills each training day
+ * with exercises, avoiding repeats within the week while the pool allows.
+ */
+const { tagsOf } = require('./tags');
+
+const dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Built-in splits - training days are cycled in order across the week
+// A day with a force only gets exercises tagged with it (no rear delt flyes on push day)
+const splitTemplates = {
+    'full-body': {
+        name: 'Full Body',
+        days: [
+            { name: 'Full Body A', muscles: ['chest', 'back', 'legs'] },
+            { name: 'Full Body B', muscles: ['shoulders', 'arms', 'core'] }
+        ]
+    },
+    'upper-lower': {
+        name: 'Upper / Lower',
+        days: [
+            { name: 'Upper Body', muscles: ['chest', 'back', 'shoulders', 'arms'] },
+            { name: 'Lower Body', muscles: ['legs', 'core'] }
+        ]
+    },
+    ppl: {
+        name: 'Push / Pull / Legs',
+        days: [
+            { name: 'Push Day', muscles: ['chest', 'shoulders', 'arms'], force: 'push' },
+            { name: 'Pull Day', muscles: ['back', 'arms'], force: 'pull' },
+            { name: 'Leg Day', muscles: ['legs', 'core'] }
+        ]
+    },
+    bro: {
+        name: 'Bro Split',
+        days: [
+            { name: 'Chest', muscles: ['chest'] },
+            { name: 'Back', muscles: ['back'] },
+            { name: 'Legs', muscles: ['legs'] },
+            { name: 'Shoulders', muscles: ['shoulders'] },
+            { name: 'Arms & Core', muscles: ['arms', 'core'] }
+        ]
+    }
+};
+
+// Split used when none is requested
+const defaultSplits = {
+    beginner: 'full-body',
+    intermediate: 'ppl',
+    advanced: 'bro'
+};
+
+/**
+ * Pick which weekdays (0 = Monday) are training days, spreading rest days out
+ * e.g. 3 days -> Mon/Wed/Fri, 4 days -> Mon/Tue/Thu/Sat
+ */
+function scheduleTrainingDays(days) {
+    const trainingDays = [];
+    for (let i = 0; i < days; i++) {
+        trainingDays.push(Math.floor(i * 7 / days));
+    }
+    return trainingDays;
+}
+
+/**
+ * Validate a custom split definition: { name, days: [{ name, muscles }] }
+ * Returns a list of problems (empty when valid)
+ */
+function validateSplit(split, validMuscles) {
+    const errors = [];
+
+    if (!split || !Array.isArray(split.days) || split.days.length === 0) {
+        return ['split.days must be a non-empty array'];
+    }
+    if (split.days.length > 7) {
+        errors.push('split.days can have at most 7 entries');
+    }
+
+    split.days.forEach((day, i) => {
+        if (!day || typeof day.name !== 'string' || !day.name.trim()) {
+            errors.push(`split.days[${i}].name is required`);
+        }
+        if (!day || !Array.isArray(day.muscles) || day.muscles.length === 0) {
+            errors.push(`split.days[${i}].muscles must be a non-empty array`);
+        } else {
+            day.muscles
+                .filter(muscle => !validMuscles.includes(String(muscle).toLowerCase()))
+                .forEach(muscle => errors.push(`split.days[${i}].muscles contains invalid muscle "${muscle}"`));
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Choose `count` exercises from a pool, preferring ones not used yet this week
+ * Falls back to already used exercises only once the fresh ones run out
+ */
+function pickFresh(pool, count, used, rng) {
+    const shuffled = rng.shuffle(pool);
+    const fresh = shuffled.filter(ex => !used.has(ex.id));
+    const repeats = shuffled.filter(ex => used.has(ex.id));
+    const picked = [...fresh, ...repeats].slice(0, count);
+    picked.forEach(ex => used.add(ex.id));
+    return picked;
+}
+
+/**
+ * Build a 7-day plan
+ * Options:
+ *   - split: { days: [{ name, muscles, force }] } cycled over the training days;
+ *     force (push | pull, optional) keeps only exercises with that force tag
+ *   - days: number of training days (1-7)
+ *   - exercises: pool to pick from (already filtered by equipment etc.)
+ *   - rng: seeded generator from lib/random
+ *   - perMuscle: exercises per muscle group per day (default: 2)
+ */
+function buildWeeklyPlan({ split, days, exercises, rng, perMuscle = 2 }) {
+    const trainingDays = scheduleTrainingDays(days);
+    const used = new Set();
+    let splitIndex = 0;
+
+    return dayNames.map((day, i) => {
+        if (!trainingDays.includes(i)) {
+            return { day, type: 'Rest', muscles: [], exercises: [] };
+        }
+
+        const dayPlan = split.days[splitIndex++ % split.days.length];
+        const muscles = [...new Set(dayPlan.muscles.map(muscle => muscle.toLowerCase()))];
+        const dayExercises = [];
+
+        for (const muscle of muscles) {
+            const pool = exercises.filter(ex => ex.muscle === muscle &&
+                (!dayPlan.force || tagsOf(ex).force === dayPlan.force));
+            dayExercises.push(...pickFresh(pool, perMuscle, used, rng));
+        }
+
+        return { day, type: dayPlan.name, muscles, exercises: dayExercises };
+    });
+}
+
+module.exports = {
+    dayNames,
+    splitTemplates,
+    defaultSplits,
+    scheduleTrainingDays,
+    validateSplit,
+    buildWeeklyPlan
+};
@@ -0,0 +1,192 @@
+/**
+ * Multi-week periodized programs
+ * Takes one weekly plan (so exercise selection stays the same every week)
+ * and prescribes sets, reps and intensity for each week of the block.
+ */
+
+// Linear periodization: %1RM at the first and last loading week
+const linearIntensity = {
+    beginner: { start: 60, end: 75 },
+    intermediate: { start: 65, end: 85 },
+    advanced: { start: 70, end: 90 }
+};
+
+// Undulating periodization: training days rotate through these focuses
+const undulatingProfiles = [
+    { focus: 'hypertrophy', intensity: 70, reps: '8-12' },
+    { focus: 'strength', intensity: 82, reps: '4-6' },
+    { focus: 'power', intensity: 65, reps: '3-5' }
+];
+
+// Undulating intensity shift per difficulty, and increase per week / per block
+const undulatingOffset = { beginner: -5, intermediate: 0, advanced: 3 };
+const UNDULATING_WEEKLY_STEP = 2.5;
+
+// Bodyweight and timed exercises: reps or hold time added per loading week, and the cap
+const UNLOADED_WEEKLY_STEP = 0.1;
+const UNLOADED_MAX_GROWTH = 1.5;
+
+const periodizationTypes = ['linear', 'undulating'];
+
+/**
+ * Rep range for working sets at a given %1RM
+ * Inverse Epley gives reps to failure; sets stop about a quarter short of that
+ */
+function repsForIntensity(intensity) {
+    const repsToFailure = 30 * (100 / intensity - 1);
+    const reps = Math.max(1, Math.round(repsToFailure * 0.75));
+    return `${Math.max(1, reps - 1)}-${reps + 1}`;
+}
+
+/**
+ * Target RPE for a given %1RM, on a 5-9.5 scale in half steps
+ */
+function rpeForIntensity(intensity) {
+    const rpe = 5 + (intensity - 55) / 8.75;
+    return Math.min(9.5, Math.max(5, Math.round(rpe * 2) / 2));
+}
+
+/**
+ * Whether an exercise's reps are a time or distance ("30-60 sec", "40m")
+ */
+function isTimedOrDistance(reps) {
+    return /sec|min|\d+m\b/.test(String(reps));
+}
+
+/**
+ * Scale every number in a reps prescription: ("10-12 each", 1.2) -> "12-14 each"
+ */
+function scaleReps(reps, factor) {
+    if (factor === 1) return reps;
+    return String(reps).replace(/\d+/g, value => Math.round(value * factor));
+}
+
+/**
+ * Lay out which weeks are deloads, grouping weeks into blocks that each end in one
+ * With deloadEvery = 4 over 8 weeks: weeks 4 and 8 are deloads
+ */
+function buildWeekPhases(weeks, deloadEvery) {
+    const phases = [];
+    let block = 1;
+    let blockWeek = 0;
+
+    for (let week = 1; week <= weeks; week++) {
+        const isDeload = deloadEvery > 0 && week % deloadEvery === 0;
+        phases.push({ week, block, isDeload, blockWeek: isDeload ? null : blockWeek++ });
+        if (isDeload) {
+            block++;
+            blockWeek = 0;
+        }
+    }
+
+    return phases;
+}
+
+/**
+ * Prescribe one exercise for one training day
+ * target: { intensity, reps, rpe, volume } where intensity and reps are for
+ * loaded lifts; bodyweight and timed exercises get their own reps or hold
+ * time scaled by volume instead
+ */
+function prescribe(exercise, target, isDeload) {
+    const baseSets = exercise.sets || 3;
+    const sets = isDeload ? Math.max(1, Math.ceil(baseSets / 2)) : baseSets;
+    const loaded = exercise.equipment !== 'none' && !isTimedOrDistance(exercise.reps);
+
+    return {
+        id: exercise.id,
+        name: exercise.name,
+        muscle: exercise.muscle,
+        equipment: exercise.equipment,
+        sets,
+        reps: loaded ? target.reps : scaleReps(exercise.reps, target.volume),
+        intensity: loaded ? `${target.intensity}% 1RM` : null,
+        rpe: target.rpe
+    };
+}
+
+/**
+ * Build a periodized program
+ * Options:
+ *   - weeklyPlan: 7-day plan from lib/plans buildWeeklyPlan, reused every week
+ *   - weeks: program length
+ *   - periodization: linear | undulating
+ *   - deloadEvery: every Nth week is a deload (0 = never)
+ *   - difficulty: beginner | intermediate | advanced
+ */
+function buildProgram({ weeklyPlan, weeks, periodization, deloadEvery, difficulty }) {
+    const phases = buildWeekPhases(weeks, deloadEvery);
+    const loadingWeeks = phases.filter(p => !p.isDeload).length;
+    const range = linearIntensity[difficulty];
+    let loadingIndex = 0;
+
+    return phases.map(({ week, block, isDeload, blockWeek }) => {
+        let weekIntensity = null;
+        let weekShift = 0;
+
+        if (periodization === 'linear') {
+            // Climb evenly from start to end over all loading weeks
+            const progress = loadingWeeks > 1 ? loadingIndex / (loadingWeeks - 1) : 0;
+            weekIntensity = isDeload
+                ? range.start - 10
+                : Math.round(range.start + (range.end - range.start) * progress);
+        } else {
+            // Same daily rotation, shifted up a little each week and each new block
+            weekShift = isDeload ? -10 : (block - 1 + blockWeek) * UNDULATING_WEEKLY_STEP;
+        }
+
+        // Unloaded exercises add volume each loading week; deloads go back to the catalog's
+        const volume = isDeload ? 1 : Math.min(UNLOADED_MAX_GROWTH, 1 + UNLOADED_WEEKLY_STEP * loadingIndex);
+
+        if (!isDeload) loadingIndex++;
+
+        let trainingDay = 0;
+        const days = weeklyPlan.map(dayPlan => {
+            if (dayPlan.exercises.length === 0) {
+                return { day: dayPlan.day, type: dayPlan.type, exercises: [] };
+            }
+
+            let target;
+            let focus;
+
+            if (periodization === 'linear') {
+                focus = isDeload ? 'deload' : 'linear';
+                target = {
+                    intensity: weekIntensity,
+                    reps: isDeload ? repsForIntensity(range.start) : repsForIntensity(weekIntensity),
+                    rpe: rpeForIntensity(weekIntensity),
+                    volume
+                };
+            } else {
+                const profile = undulatingProfiles[trainingDay % undulatingProfiles.length];
+                const intensity = Math.round(profile.intensity + undulatingOffset[difficulty] + weekShift);
+                focus = isDeload ? 'deload' : profile.focus;
+                target = { intensity, reps: profile.reps, rpe: rpeForIntensity(intensity), volume };
+            }
+
+            trainingDay++;
+
+            return {
+                day: dayPlan.day,
+                type: dayPlan.type,
+                focus,
+                exercises: dayPlan.exercises.map(ex => prescribe(ex, target, isDeload))
+            };
+        });
+
+        return {
+            week,
+            block,
+            phase: isDeload ? 'deload' : 'loading',
+            ...(periodization === 'linear' && { intensity: `${weekIntensity}% 1RM` }),
+            days
+        };
+    });
+}
+
+module.exports = {
+    periodizationTypes,
+    repsForIntensity,
+    rpeForIntensity,
+    buildProgram
+};
@@ -0,0 +1,213 @@
+/**
+ * Personal records and progress per exercise
+ * Computed from logged sets in workout history. Weights are compared in kg
+ * and reported in whichever unit the caller asks for.
+ */
+
+const KG_PER_LB = 0.45359237;
+
+const round1 = value => Math.round(value * 10) / 10;
+
+/**
+ * Convert a weight between kg and lb
+ */
+function convertWeight(weight, from, to) {
+    if (from === to) return weight;
+    return from === 'lb' ? weight * KG_PER_LB : weight / KG_PER_LB;
+}
+
+/**
+ * Estimated one-rep max from a set of `reps` at `weight`
+ * Epley: w * (1 + r / 30), Brzycki: w * 36 / (37 - r)
+ */
+function estimate1RM(weight, reps) {
+    if (!weight || !reps) return { epley: 0, brzycki: 0 };
+    if (reps === 1) return { epley: weight, brzycki: weight };
+    return {
+        epley: weight * (1 + reps / 30),
+        brzycki: reps < 37 ? weight * 36 / (37 - reps) : 0
+    };
+}
+
+/**
+ * Completed sets of one exercise across history, oldest first, weights in kg
+ * Each session also notes the unit it was logged in and how many sets were attempted.
+ * Entries logged before set tracking (no sets array) are skipped
+ */
+function collectSessions(history, exerciseId) {
+    return history
+        .filter(entry => Array.isArray(entry.exercises))
+        .map(entry => {
+            const loggedSets = entry.exercises
+                .filter(logged => logged && logged.id === exerciseId && Array.isArray(logged.sets))
+                .flatMap(logged => logged.sets)
+                .filter(Boolean);
+            const sets = loggedSets
+                .filter(set => set.completed !== false)
+                .map(set => ({
+                    reps: set.reps || 0,
+                    duration: set.duration || 0,
+                    weight: convertWeight(set.weight || 0, set.unit || 'kg', 'kg')
+                }));
+            const unit = (loggedSets[0] && loggedSets[0].unit) || 'kg';
+            return { historyId: entry.id, date: entry.timestamp, unit, attempted: loggedSets.length, sets };
+        })
+        .filter(session => session.sets.length > 0)
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * All-time records for one exercise, weights in kg
+ */
+function computeRecords(sessions) {
+    const records = {
+        bestWeight: null,
+        estimated1RM: null,
+        bestRepsAtWeight: [],
+        bestSessionVolume: null,
+        bestReps: null,
+        longestDuration: null
+    };
+    const allSets = [];
+
+    sessions.forEach(({ historyId, date, sets }) => {
+        let volume = 0;
+
+        sets.forEach(set => {
+            const at = { historyId, date };
+            allSets.push({ ...set, ...at });
+            volume += set.reps * set.weight;
+
+            if (set.weight > 0 && set.reps > 0 &&
+                (!records.bestWeight || set.weight > records.bestWeight.weight)) {
+                records.bestWeight = { weight: set.weight, reps: set.reps, ...at };
+            }
+
+            const e1rm = estimate1RM(set.weight, set.reps);
+            if (e1rm.epley > 0 && (!records.estimated1RM || e1rm.epley > records.estimated1RM.epley)) {
+                records.estimated1RM = { ...e1rm, basedOn: { weight: set.weight, reps: set.reps }, ...at };
+            }
+
+            if (set.reps > 0 && (!records.bestReps || set.reps > records.bestReps.reps)) {
+                records.bestReps = { reps: set.reps, weight: set.weight, ...at };
+            }
+
+            if (set.duration > 0 && (!records.longestDuration || set.duration > records.longestDuration.duration)) {
+                records.longestDuration = { duration: set.duration, ...at };
+            }
+        });
+
+        if (volume > 0 && (!records.bestSessionVolume || volume > records.bestSessionVolume.volume)) {
+            records.bestSessionVolume = { volume, historyId, date };
+        }
+    });
+
+    // Rep records: sets not beaten on both weight and reps by any other set
+    records.bestRepsAtWeight = allSets
+        .filter(set => set.weight > 0 && set.reps > 0)
+        .filter(set => !allSets.some(other =>
+            other !== set &&
+            other.weight >= set.weight && other.reps >= set.reps &&
+            (other.weight > set.weight || other.reps > set.reps || new Date(other.date) < new Date(set.date))
+        ))
+        .filter((set, i, frontier) => frontier.findIndex(o => o.weight === set.weight && o.reps === set.reps) === i)
+        .sort((a, b) => a.weight - b.weight)
+        .map(({ weight, reps, historyId, date }) => ({ weight, reps, historyId, date }));
+
+    return records;
+}
+
+/**
+ * Per-session time series for one exercise, weights in kg
+ */
+function computeSeries(sessions) {
+    return sessions.map(({ historyId, date, sets }) => {
+        const best = Math.max(...sets.map(set => estimate1RM(set.weight, set.reps).epley));
+        return {
+            historyId,
+            date,
+            sets: sets.length,
+            reps: sets.reduce((sum, set) => sum + set.reps, 0),
+            volume: sets.reduce((sum, set) => sum + set.reps * set.weight, 0),
+            topWeight: Math.max(...sets.map(set => set.weight)),
+            estimated1RM: best
+        };
+    });
+}
+
+/**
+ * New personal records set by `entry`, compared with the history before it
+ * Weights are reported in the unit the exercise was logged in.
+ * Exercises logged for the first time are not flagged.
+ */
+function detectPersonalRecords(previousHistory, entry) {
+    const prs = [];
+
+    (entry.exercises || []).forEach(logged => {
+        const before = collectSessions(previousHistory, logged.id);
+        if (before.length === 0) return;
+
+        const unit = (logged.sets && logged.sets[0] && logged.sets[0].unit) || 'kg';
+        const inUnit = kg => round1(convertWeight(kg, 'kg', unit));
+        const old = computeRecords(before);
+        const now = computeRecords([...before, ...collectSessions([entry], logged.id)]);
+        const base = { exerciseId: logged.id, name: logged.name };
+        const isNew = record => record && record.historyId === entry.id;
+
+        if (isNew(now.bestWeight) && old.bestWeight) {
+            prs.push({ ...base, type: 'weight', value: inUnit(now.bestWeight.weight), previous: inUnit(old.bestWeight.weight), unit });
+        }
+        if (isNew(now.estimated1RM) && old.estimated1RM) {
+            prs.push({ ...base, type: 'estimated-1rm', value: inUnit(now.estimated1RM.epley), previous: inUnit(old.estimated1RM.epley), unit });
+        }
+        if (isNew(now.bestSessionVolume) && old.bestSessionVolume) {
+            prs.push({ ...base, type: 'volume', value: inUnit(now.bestSessionVolume.volume), previous: inUnit(old.bestSessionVolume.volume), unit });
+        }
+        if (isNew(now.bestReps) && old.bestReps) {
+            prs.push({ ...base, type: 'reps', value: now.bestReps.reps, previous: old.bestReps.reps });
+        }
+        if (isNew(now.longestDuration) && old.longestDuration) {
+            prs.push({ ...base, type: 'duration', value: now.longestDuration.duration, previous: old.longestDuration.duration });
+        }
+        now.bestRepsAtWeight.filter(isNew).forEach(record => {
+            prs.push({ ...base, type: 'reps-at-weight', value: record.reps, weight: inUnit(record.weight), unit });
+        });
+    });
+
+    return prs;
+}
+
+/**
+ * Convert every kg weight field of a records or series object to `unit`
+ */
+function withUnit(value, unit) {
+    const weightKeys = ['weight', 'topWeight', 'volume', 'epley', 'brzycki', 'estimated1RM'];
+
+    if (Array.isArray(value)) {
+        return value.map(item => withUnit(item, unit));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const converted = {};
+    Object.entries(value).forEach(([key, field]) => {
+        if (weightKeys.includes(key) && typeof field === 'number') {
+            converted[key] = round1(convertWeight(field, 'kg', unit));
+        } else {
+            converted[key] = withUnit(field, unit);
+        }
+    });
+    return converted;
+}
+
+module.exports = {
+    KG_PER_LB,
+    convertWeight,
+    estimate1RM,
+    collectSessions,
+    computeRecords,
+    computeSeries,
+    detectPersonalRecords,
+    withUnit
+};
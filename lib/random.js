@@ -0,0 +1,64 @@
+/**
+ * Seedable random number generation
+ * Every generator draws from one of these instead of Math.random, so the
+ * same seed plus the same filters always produces the same workout.
+ */
+const crypto = require('crypto');
+
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Turn a seed query value into an unsigned 32-bit integer
+ * Numeric seeds are used as-is, any other string is hashed
+ */
+function normalizeSeed(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+        return crypto.randomInt(MAX_SEED);
+    }
+
+    const str = String(seed).trim();
+    if (/^\d+$/.test(str) && Number(str) <= MAX_SEED) {
+        return Number(str);
+    }
+
+    return crypto.createHash('sha256').update(str).digest().readUInt32BE(0);
+}
+
+/**
+ * Create a seeded generator (mulberry32)
+ * Returns { seed, next, int, pick, shuffle }
+ */
+function createRandom(seed) {
+    const normalizedSeed = normalizeSeed(seed);
+    let a = normalizedSeed;
+
+    // Uniform float in [0, 1)
+    const next = () => {
+        a = (a + 0x6D2B79F5) | 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    // Integer in [0, max)
+    const int = max => Math.floor(next() * max);
+
+    return {
+        seed: normalizedSeed,
+        next,
+        int,
+        pick: array => array[int(array.length)],
+        // Fisher-Yates shuffle, returns a new array
+        shuffle: array => {
+            const shuffled = [...array];
+            for (let i = shuffled.length - 1; i > 0; i--) {
+                const j = int(i + 1);
+                [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+            }
+            return shuffled;
+        }
+    };
+}
+
+module.exports = { createRandom, normalizeSeed, MAX_SEED };
@@ -0,0 +1,149 @@
+/**
+ * Muscle recovery
+ * Models per-muscle fatigue from logged sessions so generators can skip or
+ * deprioritize muscles that are still recovering. Every completed set adds
+ * fatigue scaled by its intensity; fatigue then decays exponentially, at a
+ * rate set by how long each muscle group takes to recover.
+ */
+const { convertWeight, estimate1RM } = require('./progress');
+
+// Hours until about 90% of a session's fatigue has worn off
+const recoveryHours = {
+    legs: 72,
+    back: 60,
+    chest: 60,
+    shoulders: 48,
+    arms: 48,
+    core: 36
+};
+const DEFAULT_RECOVERY_HOURS = 48;
+
+// Hard sets that leave a muscle at 0% readiness
+const FATIGUE_CAPACITY = 10;
+
+// Only sessions this recent can still matter
+const LOOKBACK_HOURS = 7 * 24;
+
+// Readiness thresholds (percent)
+const READY = 80;
+const RECOVERING = 50;
+
+const recoveryModes = ['exclude', 'prefer'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const decayRate = muscle => Math.log(10) / (recoveryHours[muscle] || DEFAULT_RECOVERY_HOURS);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Intensity of one set: from its RPE when logged, else its estimated 1RM
+ * against the best one logged for the exercise, else 1 (a hard set)
+ */
+function setIntensity(set, best1RM) {
+    if (typeof set.rpe === 'number') {
+        return clamp(set.rpe / 8, 0.5, 1.25);
+    }
+    const weight = convertWeight(set.weight || 0, set.unit || 'kg', 'kg');
+    if (weight > 0 && set.reps > 0 && best1RM > 0) {
+        return clamp(estimate1RM(weight, set.reps).epley / best1RM, 0.5, 1);
+    }
+    return 1;
+}
+
+/**
+ * Best estimated 1RM (kg) of every exercise in the history
+ */
+function best1RMs(history) {
+    const best = {};
+    history.forEach(entry => (entry.exercises || []).forEach(logged => {
+        (logged && Array.isArray(logged.sets) ? logged.sets : []).forEach(set => {
+            if (!set || set.completed === false) return;
+            const weight = convertWeight(set.weight || 0, set.unit || 'kg', 'kg');
+            best[logged.id] = Math.max(best[logged.id] || 0, estimate1RM(weight, set.reps || 0).epley);
+        });
+    }));
+    return best;
+}
+
+const statusOf = readiness => readiness >= READY ? 'ready' : readiness >= RECOVERING ? 'recovering' : 'fatigued';
+
+/**
+ * Readiness of every muscle group at `now`
+ * Returns { [muscle]: { readiness (0-100), status, fatigue, recentSets, lastTrained, hoursSince, readyAt } }
+ * readyAt is null for muscles that are already ready
+ */
+function assessRecovery(history, muscles, now = new Date()) {
+    const best = best1RMs(history);
+    const state = Object.fromEntries(muscles.map(muscle => [muscle, { fatigue: 0, recentSets: 0, lastTrained: null }]));
+
+    history.forEach(entry => {
+        const date = new Date(entry.timestamp);
+        const hours = (now - date) / HOUR_MS;
+        if (isNaN(hours) || hours < 0) return;
+
+        (entry.exercises || []).forEach(logged => {
+            const muscle = logged && state[logged.muscle];
+            if (!muscle || !Array.isArray(logged.sets)) return;
+
+            const done = logged.sets.filter(set => set && set.completed !== false);
+            if (done.length === 0) return;
+            if (!muscle.lastTrained || date > new Date(muscle.lastTrained)) {
+                muscle.lastTrained = date.toISOString();
+            }
+            if (hours > LOOKBACK_HOURS) return;
+
+            const load = done.reduce((sum, set) => sum + setIntensity(set, best[logged.id]), 0);
+            muscle.fatigue += load * Math.exp(-decayRate(logged.muscle) * hours);
+            muscle.recentSets += done.length;
+        });
+    });
+
+    const report = {};
+    Object.entries(state).forEach(([muscle, { fatigue, recentSets, lastTrained }]) => {
+        const readiness = Math.round(100 * Math.max(0, 1 - fatigue / FATIGUE_CAPACITY));
+        // Fatigue left when readiness reaches READY, and the hours until then
+        const readyFatigue = FATIGUE_CAPACITY * (1 - READY / 100);
+        const hoursToReady = fatigue > readyFatigue ? Math.log(fatigue / readyFatigue) / decayRate(muscle) : 0;
+
+        report[muscle] = {
+            readiness,
+            status: statusOf(readiness),
+            fatigue: Math.round(fatigue * 10) / 10,
+            recentSets,
+            lastTrained,
+            hoursSince: lastTrained ? Math.round((now - new Date(lastTrained)) / HOUR_MS) : null,
+            readyAt: hoursToReady > 0 ? new Date(now.getTime() + Math.ceil(hoursToReady) * HOUR_MS).toISOString() : null
+        };
+    });
+    return report;
+}
+
+/**
+ * Apply a recovery mode to a list of candidate exercises
+ *   - exclude: drop exercises for muscles that are not ready
+ *   - prefer: keep everything, ordered by a shuffle weighted towards fresh muscles
+ * Returns { exercises, excluded: muscles left out }
+ */
+function applyRecovery(exercises, readiness, mode, rng) {
+    if (mode === 'exclude') {
+        const excluded = Object.keys(readiness).filter(muscle => readiness[muscle].status !== 'ready');
+        return {
+            exercises: rng.shuffle(exercises.filter(ex => !excluded.includes(ex.muscle))),
+            excluded
+        };
+    }
+
+    // Weighted random order (Efraimidis-Spirakis): key = u^(1/w), highest first
+    const weightOf = ex => {
+        const muscle = readiness[ex.muscle];
+        return muscle ? Math.max(0.01, (muscle.readiness / 100) ** 2) : 1;
+    };
+    const ordered = exercises
+        .map(ex => ({ ex, key: rng.next() ** (1 / weightOf(ex)) }))
+        .sort((a, b) => b.key - a.key)
+        .map(item => item.ex);
+    return { exercises: ordered, excluded: [] };
+}
+
+module.exports = { recoveryModes, recoveryHours, assessRecovery, applyRecovery };
@@ -0,0 +1,134 @@
+/**
+ * Exercise search
+ * Typo-tolerant matching of a free-text query against exercise names and
+ * descriptions, with relevance ranking, plus the catalog sort orders.
+ */
+
+// A name hit counts for more than a description hit
+const NAME_WEIGHT = 3;
+const DESCRIPTION_WEIGHT = 1;
+
+const difficultyRank = { beginner: 1, intermediate: 2, advanced: 3 };
+
+const sortFields = {
+    name: (a, b) => a.name.localeCompare(b.name),
+    difficulty: (a, b) => (difficultyRank[a.difficulty] || 0) - (difficultyRank[b.difficulty] || 0),
+    calories: (a, b) => (a.calories || 0) - (b.calories || 0),
+    duration: (a, b) => (a.duration || 0) - (b.duration || 0)
+};
+
+/**
+ * Lower-case words, ignoring punctuation ("Push-ups" -> ["push", "ups"])
+ */
+function tokenize(text) {
+    return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Words plus each adjacent pair joined, so "pullup" can match "Pull-ups"
+ */
+function withCompounds(words) {
+    return words.concat(words.slice(1).map((word, i) => words[i] + word));
+}
+
+/**
+ * Damerau-Levenshtein (optimal string alignment) distance
+ */
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
+}
+
+/**
+ * How well one query word matches one text word (0 to 1)
+ * Exact > prefix > within 1 typo (2 for longer words)
+ */
+function wordScore(queryWord, word) {
+    if (queryWord === word) return 1;
+    if (queryWord.length >= 3 && word.startsWith(queryWord)) return 0.9;
+
+    const allowed = queryWord.length <= 4 ? 1 : 2;
+    const distance = editDistance(queryWord, word.slice(0, queryWord.length + allowed));
+    if (queryWord.length >= 3 && distance <= allowed) {
+        return 0.8 - 0.2 * (distance - 1);
+    }
+    return 0;
+}
+
+/**
+ * Best score of a query word against a list of words
+ */
+function bestWordScore(queryWord, words) {
+    return words.reduce((best, word) => Math.max(best, wordScore(queryWord, word)), 0);
+}
+
+/**
+ * Relevance of an exercise for a query, or 0 if it does not match
+ * At least half of the query words have to match somewhere
+ */
+function scoreExercise(exercise, query) {
+    const queryWords = tokenize(query);
+    if (queryWords.length === 0) return 0;
+
+    const nameWords = withCompounds(tokenize(exercise.name));
+    const descriptionWords = tokenize(exercise.description);
+    let score = 0;
+    let matched = 0;
+
+    queryWords.forEach(queryWord => {
+        const nameScore = bestWordScore(queryWord, nameWords) * NAME_WEIGHT;
+        const descriptionScore = bestWordScore(queryWord, descriptionWords) * DESCRIPTION_WEIGHT;
+        const best = Math.max(nameScore, descriptionScore);
+        if (best > 0) matched++;
+        score += best;
+    });
+
+    if (matched < Math.ceil(queryWords.length / 2)) return 0;
+
+    // Whole phrase in the name is the strongest signal
+    if (exercise.name.toLowerCase().includes(String(query).toLowerCase().trim())) {
+        score += NAME_WEIGHT;
+    }
+
+    return Math.round(score / queryWords.length * 100) / 100;
+}
+
+/**
+ * Exercises matching the query, most relevant first, each with a `relevance` score
+ */
+function searchExercises(exercises, query) {
+    return exercises
+        .map(exercise => ({ ...exercise, relevance: scoreExercise(exercise, query) }))
+        .filter(exercise => exercise.relevance > 0)
+        .sort((a, b) => b.relevance - a.relevance || a.name.localeCompare(b.name));
+}
+
+/**
+ * Sort exercises by one of sortFields, ascending or descending (returns a new array)
+ */
+function sortExercises(exercises, field, order = 'asc') {
+    const compare = sortFields[field];
+    const sorted = [...exercises].sort(compare);
+    return order === 'desc' ? sorted.reverse() : sorted;
+}
+
+module.exports = {
+    sortFields,
+    tokenize,
+    editDistance,
+    scoreExercise,
+    searchExercises,
+    sortExercises
+};
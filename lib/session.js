@@ -0,0 +1,162 @@
+/**
+ * Time-budgeted session builder
+ * Splits a target duration into warm-up, main work and cool-down, and fills
+ * each block from the catalog so the whole session fits the budget.
+ */
+
+// Share of the session for each bookend block, with min/max in seconds
+const warmupBudget = { share: 0.15, min: 3 * 60, max: 10 * 60 };
+const cooldownBudget = { share: 0.1, min: 3 * 60, max: 8 * 60 };
+
+// Seconds to move between exercises in the main block
+const TRANSITION_SECONDS = 60;
+
+const upperMuscles = ['chest', 'back', 'shoulders', 'arms'];
+const lowerMuscles = ['legs'];
+
+// Stretch target areas that cool down each muscle group
+const stretchAreas = {
+    chest: ['upper'],
+    shoulders: ['upper'],
+    arms: ['arms', 'upper'],
+    back: ['back'],
+    legs: ['legs', 'hips'],
+    core: ['core', 'back']
+};
+
+/**
+ * Format seconds as m:ss
+ */
+function formatDuration(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Warm-up types that suit the trained muscles (cardio always included)
+ */
+function warmupTypesFor(muscles) {
+    const hasUpper = muscles.some(m => upperMuscles.includes(m));
+    const hasLower = muscles.some(m => lowerMuscles.includes(m));
+    const types = ['cardio'];
+
+    if (hasUpper) types.push('upper');
+    if (hasLower) types.push('lower');
+    if (muscles.includes('core') || (hasUpper && hasLower)) types.push('core');
+
+    return types;
+}
+
+/**
+ * Rest between sets: heavier, low-rep work gets longer rest
+ */
+function restSecondsFor(exercise) {
+    const lowReps = parseInt(String(exercise.reps));
+    return lowReps && lowReps <= 8 ? 90 : 60;
+}
+
+/**
+ * Time one exercise takes: sets x (work + rest), plus the move to the next
+ */
+function exerciseSeconds(exercise) {
+    const sets = exercise.sets || 3;
+    const work = exercise.duration || 30;
+    return sets * (work + restSecondsFor(exercise)) + TRANSITION_SECONDS;
+}
+
+/**
+ * Stretch time, counting both sides for "each leg/arm/side" holds
+ */
+function stretchSeconds(stretch) {
+    return /each/.test(stretch.holdTime || '') ? stretch.duration * 2 : stretch.duration;
+}
+
+/**
+ * Fill a time budget from a shuffled list, cycling through it again in
+ * further rounds if one pass is not enough
+ */
+function fillRounds(items, budget, secondsOf) {
+    const picked = [];
+    let used = 0;
+    let round = 1;
+
+    while (items.length > 0 && round <= 5) {
+        let addedThisRound = false;
+        for (const item of items) {
+            const seconds = secondsOf(item);
+            if (used + seconds <= budget) {
+                picked.push({ ...item, round, seconds });
+                used += seconds;
+                addedThisRound = true;
+            }
+        }
+        if (!addedThisRound) break;
+        round++;
+    }
+
+    return { items: picked, seconds: used };
+}
+
+/**
+ * Build a session
+ * Options:
+ *   - minutes: target total length
+ *   - muscles: muscle groups for the main block
+ *   - exercises: main block pool (already filtered by difficulty/equipment)
+ *   - warmups, stretches: catalog lists from data.json
+ *   - rng: seeded generator from lib/random
+ */
+function buildSession({ minutes, muscles, exercises, warmups, stretches, rng }) {
+    const total = minutes * 60;
+    const clamp = ({ share, min, max }) => Math.min(max, Math.max(min, Math.round(total * share)));
+
+    // Warm-up matched to the body region
+    const warmupTypes = warmupTypesFor(muscles);
+    const warmup = fillRounds(
+        rng.shuffle(warmups.filter(w => warmupTypes.includes(w.type))),
+        clamp(warmupBudget),
+        w => w.duration
+    );
+
+    // Main block gets whatever is left after the warm-up and the cool-down
+    // allowance, filled muscle by muscle in turn
+    const cooldownSeconds = clamp(cooldownBudget);
+    const mainBudget = total - warmup.seconds - cooldownSeconds;
+    const pools = muscles.map(m => rng.shuffle(exercises.filter(ex => ex.muscle === m)));
+    const main = [];
+    let mainSeconds = 0;
+    let added = true;
+
+    while (added) {
+        added = false;
+        for (const pool of pools) {
+            const index = pool.findIndex(ex => mainSeconds + exerciseSeconds(ex) <= mainBudget);
+            if (index === -1) continue;
+            const [exercise] = pool.splice(index, 1);
+            const seconds = exerciseSeconds(exercise);
+            main.push({ ...exercise, restSeconds: restSecondsFor(exercise), estimatedSeconds: seconds });
+            mainSeconds += seconds;
+            added = true;
+        }
+    }
+
+    // Cool-down stretching the muscles that actually made it into the main block
+    const trained = [...new Set(main.map(ex => ex.muscle))];
+    const areas = [...new Set(trained.flatMap(m => stretchAreas[m] || []))];
+    const cooldown = fillRounds(
+        rng.shuffle(stretches.filter(s => areas.includes(s.targetArea))),
+        cooldownSeconds,
+        stretchSeconds
+    );
+
+    const totalSeconds = warmup.seconds + mainSeconds + cooldown.seconds;
+
+    return {
+        warmup: { types: warmupTypes, items: warmup.items, seconds: warmup.seconds },
+        main: { exercises: main, seconds: mainSeconds },
+        cooldown: { targetAreas: areas, stretches: cooldown.items, seconds: cooldown.seconds },
+        totalSeconds,
+        targetSeconds: total
+    };
+}
+
+module.exports = { formatDuration, exerciseSeconds, restSecondsFor, buildSession };
@@ -0,0 +1,52 @@
+/**
+ * JSON file storage backend
+ * Same interface as the memory store, but the state is loaded from disk on
+ * startup and written back after every mutation so it survives restarts.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+
+/**
+ * Read a previously saved state file, or null if there is none yet
+ */
+function loadState(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    const raw = fs.readFileSync(filePath, 'utf8');
+    return raw.trim() ? JSON.parse(raw) : null;
+}
+
+/**
+ * Write state via a temp file + rename so a crash never leaves a half-written file
+ */
+function saveState(filePath, state) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Create a file-backed store
+ * Options: same as createMemoryStore, plus
+ *   - filePath: where the state is persisted (required)
+ */
+function createFileStore(options = {}) {
+    const { filePath } = options;
+    if (!filePath) {
+        throw new Error('File storage requires a filePath');
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const store = createMemoryStore({
+        ...options,
+        state: loadState(filePath) || undefined,
+        onChange: state => saveState(filePath, state)
+    });
+
+    return { ...store, driver: 'file', filePath };
+}
+
+module.exports = { createFileStore };
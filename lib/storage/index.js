@@ -0,0 +1,33 @@
+/**
+ * Storage factory
+ * Picks a backend from options (or environment variables):
+ *   - STORAGE_DRIVER: memory | file (default: memory)
+ *   - STORAGE_FILE: path of the JSON file used by the file driver (default: ./storage/db.json)
+ *   - HISTORY_LIMIT: max workout history entries kept (default: 100)
+ *   - CUSTOM_ID_START: first ID handed out to custom exercises (default: 1000)
+ */
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+
+const drivers = {
+    memory: createMemoryStore,
+    file: createFileStore
+};
+
+function createStorage(options = {}) {
+    const driver = (options.driver || process.env.STORAGE_DRIVER || 'memory').toLowerCase();
+    const factory = drivers[driver];
+
+    if (!factory) {
+        throw new Error(`Unknown storage driver "${driver}". Valid options: ${Object.keys(drivers).join(', ')}`);
+    }
+
+    return factory({
+        filePath: options.filePath || process.env.STORAGE_FILE || path.join(__dirname, '..', '..', 'storage', 'db.json'),
+        historyLimit: options.historyLimit || parseInt(process.env.HISTORY_LIMIT) || 100,
+        customIdStart: options.customIdStart || parseInt(process.env.CUSTOM_ID_START) || 1000
+    });
+}
+
+module.exports = { createStorage, drivers };
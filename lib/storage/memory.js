@@ -0,0 +1,255 @@
+/**
+ * In-memory storage backend
+ * Holds users, custom exercises, favorites, workout history and API usage
+ * counters for the lifetime of the process. Used directly in tests and as the
+ * base for the file store. Everything except users and usage counters is
+ * scoped to an owning user ID.
+ */
+
+/**
+ * Build the default empty state
+ */
+function createInitialState(options = {}) {
+    return {
+        nextUserId: 1,
+        nextCustomId: options.customIdStart || 1000,
+        nextHistoryId: 1,
+        users: [],
+        customExercises: [],
+        favorites: {},
+        workoutHistory: [],
+        usage: {}
+    };
+}
+
+/**
+ * Upgrade state saved before per-user scoping: everything that existed
+ * then belonged to the shared guest user
+ */
+function migrateState(state, guestUserId) {
+    if (Array.isArray(state.favorites)) {
+        state.favorites = { [guestUserId]: state.favorites };
+    }
+    state.customExercises.forEach(ex => {
+        if (ex.ownerId === undefined) ex.ownerId = guestUserId;
+    });
+    state.workoutHistory.forEach(entry => {
+        if (entry.userId === undefined) entry.userId = guestUserId;
+    });
+    return state;
+}
+
+/**
+ * Create an in-memory store
+ * Options:
+ *   - state: initial state to start from (optional)
+ *   - historyLimit: max history entries kept per user (default: 100)
+ *   - customIdStart: first ID handed out to custom exercises (default: 1000)
+ *   - guestUserId: owner assigned to data saved before users existed (default: 0)
+ *   - onChange: called with the full state after every mutation (optional)
+ */
+function createMemoryStore(options = {}) {
+    const historyLimit = options.historyLimit || 100;
+    const guestUserId = options.guestUserId || 0;
+    const onChange = options.onChange || (() => {});
+    const state = migrateState(
+        { ...createInitialState(options), ...(options.state || {}) },
+        guestUserId
+    );
+
+    const commit = () => onChange(state);
+    const favoritesOf = userId => state.favorites[userId] || [];
+
+    return {
+        driver: 'memory',
+        historyLimit,
+
+        // Users
+        getUsers() {
+            return state.users;
+        },
+
+        getUser(id) {
+            return state.users.find(user => user.id === id) || null;
+        },
+
+        findUser(predicate) {
+            return state.users.find(predicate) || null;
+        },
+
+        addUser(fields) {
+            const user = { id: state.nextUserId++, ...fields };
+            state.users.push(user);
+            commit();
+            return user;
+        },
+
+        updateUser(id, fields) {
+            const user = state.users.find(u => u.id === id);
+            if (!user) {
+                return null;
+            }
+            Object.assign(user, fields, { id });
+            commit();
+            return user;
+        },
+
+        // Custom exercises (all owners when userId is omitted)
+        getCustomExercises(userId) {
+            if (userId === undefined) {
+                return state.customExercises;
+            }
+            return state.customExercises.filter(ex => ex.ownerId === userId);
+        },
+
+        addCustomExercise(userId, fields) {
+            const exercise = { id: state.nextCustomId++, ...fields, ownerId: userId };
+            state.customExercises.push(exercise);
+            commit();
+            return exercise;
+        },
+
+        updateCustomExercise(userId, id, fields) {
+            const exercise = state.customExercises.find(ex => ex.id === id && ex.ownerId === userId);
+            if (!exercise) {
+                return null;
+            }
+            Object.assign(exercise, fields, { id, ownerId: userId });
+            commit();
+            return exercise;
+        },
+
+        removeCustomExercise(userId, id) {
+            const index = state.customExercises.findIndex(
+                ex => ex.id === id && ex.ownerId === userId
+            );
+            if (index === -1) {
+                return null;
+            }
+            const deleted = state.customExercises.splice(index, 1)[0];
+            commit();
+            return deleted;
+        },
+
+        /**
+         * Apply a bulk import with a single commit
+         * creates: field sets of new exercises; updates: [{ id, fields }] of the
+         * user's existing ones. Nothing changes if any update target is missing.
+         * Returns { created, updated } in the given order, or null
+         */
+        importCustomExercises(userId, creates, updates) {
+            const targets = updates.map(({ id }) =>
+                state.customExercises.find(ex => ex.id === id && ex.ownerId === userId));
+            if (targets.some(exercise => !exercise)) {
+                return null;
+            }
+
+            const updated = targets.map((exercise, i) =>
+                Object.assign(exercise, updates[i].fields, { id: exercise.id, ownerId: userId }));
+            const created = creates.map(fields => {
+                const exercise = { id: state.nextCustomId++, ...fields, ownerId: userId };
+                state.customExercises.push(exercise);
+                return exercise;
+            });
+            commit();
+            return { created, updated };
+        },
+
+        // Favorites (all owners when userId is omitted)
+        getFavorites(userId) {
+            if (userId === undefined) {
+                return Object.values(state.favorites).flat();
+            }
+            return favoritesOf(userId);
+        },
+
+        hasFavorite(userId, id) {
+            return favoritesOf(userId).includes(id);
+        },
+
+        addFavorite(userId, id) {
+            const favorites = favoritesOf(userId);
+            if (favorites.includes(id)) {
+                return false;
+            }
+            state.favorites[userId] = [...favorites, id];
+            commit();
+            return true;
+        },
+
+        removeFavorite(userId, id) {
+            const favorites = favoritesOf(userId);
+            if (!favorites.includes(id)) {
+                return false;
+            }
+            state.favorites[userId] = favorites.filter(favId => favId !== id);
+            commit();
+            return true;
+        },
+
+        // Workout history (all owners when userId is omitted)
+        getHistory(userId) {
+            if (userId === undefined) {
+                return state.workoutHistory;
+            }
+            return state.workoutHistory.filter(entry => entry.userId === userId);
+        },
+
+        addHistoryEntry(userId, fields) {
+            const entry = { id: state.nextHistoryId++, ...fields, userId };
+            state.workoutHistory.push(entry);
+            // Drop the user's oldest entries once over the cap
+            let overflow = state.workoutHistory.filter(e => e.userId === userId).length - historyLimit;
+            while (overflow > 0) {
+                const index = state.workoutHistory.findIndex(e => e.userId === userId);
+                state.workoutHistory.splice(index, 1);
+                overflow--;
+            }
+            commit();
+            return entry;
+        },
+
+        getHistoryEntry(userId, id) {
+            return state.workoutHistory.find(entry => entry.id === id && entry.userId === userId) || null;
+        },
+
+        updateHistoryEntry(userId, id, fields) {
+            const entry = state.workoutHistory.find(e => e.id === id && e.userId === userId);
+            if (!entry) {
+                return null;
+            }
+            Object.assign(entry, fields, { id, userId });
+            commit();
+            return entry;
+        },
+
+        removeHistoryEntry(userId, id) {
+            const index = state.workoutHistory.findIndex(e => e.id === id && e.userId === userId);
+            if (index === -1) {
+                return null;
+            }
+            const deleted = state.workoutHistory.splice(index, 1)[0];
+            commit();
+            return deleted;
+        },
+
+        clearHistory(userId) {
+            const before = state.workoutHistory.length;
+            state.workoutHistory = state.workoutHistory.filter(entry => entry.userId !== userId);
+            commit();
+            return before - state.workoutHistory.length;
+        },
+
+        // API usage counters, keyed by API key owner
+        getUsage() {
+            return state.usage;
+        },
+
+        saveUsage(usage) {
+            state.usage = usage;
+            commit();
+        }
+    };
+}
+
+module.exports = { createMemoryStore, createInitialState };
@@ -0,0 +1,124 @@
+/**
+ * Exercise classification tags
+ * Every exercise carries { pattern, mechanic, force, unilateral, plyometric, hiit }.
+ * hiit marks exercises suited to timed intervals (see lib/hiit).
+ * Built-in tags live in data.json; custom exercises set them on POST/PUT/PATCH.
+ */
+
+const tagVocabulary = {
+    pattern: [
+        'squat', 'hinge', 'lunge',
+        'horizontal-push', 'vertical-push', 'horizontal-pull', 'vertical-pull',
+        'carry', 'fly', 'shoulder-raise',
+        'elbow-flexion', 'elbow-extension', 'knee-flexion', 'knee-extension',
+        'calf-raise', 'wrist-flexion',
+        'trunk-flexion', 'rotation', 'anti-extension', 'anti-rotation', 'anti-lateral-flexion'
+    ],
+    mechanic: ['compound', 'isolation'],
+    force: ['push', 'pull', 'static']
+};
+
+const flagTags = ['unilateral', 'plyometric', 'hiit'];
+
+// Tags of an exercise that was never classified (e.g. custom exercises from before tags)
+const defaultTags = Object.freeze({
+    pattern: null,
+    mechanic: null,
+    force: null,
+    unilateral: false,
+    plyometric: false,
+    hiit: false
+});
+
+/**
+ * Tags of an exercise with any missing values filled from defaultTags
+ */
+function tagsOf(exercise) {
+    return { ...defaultTags, ...(exercise.tags || {}) };
+}
+
+/**
+ * Normalize a tags object from a request body (checked against the Tags
+ * schema by lib/validation): vocabulary values are lowercased
+ * partial: only the given keys are returned (for merging into existing tags)
+ */
+function normalizeTags(tags, partial) {
+    const result = partial ? {} : { ...defaultTags };
+    Object.entries(tags).forEach(([key, value]) => {
+        result[key] = typeof value === 'string' ? value.toLowerCase() : value;
+    });
+    return result;
+}
+
+/**
+ * Read tag filters from query params or a request body
+ * pattern, mechanic, force: comma list (or array) of allowed values
+ * unilateral, plyometric, hiit: true | false
+ * Returns { errors, filters } where filters only has the keys that were given
+ */
+function parseTagFilters(params) {
+    const errors = [];
+    const filters = {};
+
+    Object.entries(tagVocabulary).forEach(([key, options]) => {
+        const raw = params[key];
+        if (raw === undefined || raw === '') return;
+        const values = (Array.isArray(raw) ? raw : String(raw).split(','))
+            .map(value => String(value).trim().toLowerCase())
+            .filter(Boolean);
+        const invalid = values.filter(value => !options.includes(value));
+        if (values.length === 0 || invalid.length > 0) {
+            errors.push({ parameter: key, invalid, validOptions: options });
+        } else {
+            filters[key] = values;
+        }
+    });
+
+    flagTags.forEach(key => {
+        const raw = params[key];
+        if (raw === undefined || raw === '') return;
+        if (raw === true || raw === 'true') {
+            filters[key] = true;
+        } else if (raw === false || raw === 'false') {
+            filters[key] = false;
+        } else {
+            errors.push({ parameter: key, invalid: [raw], validOptions: ['true', 'false'] });
+        }
+    });
+
+    return { errors, filters };
+}
+
+/**
+ * Whether an exercise matches every given tag filter
+ */
+function matchesTags(exercise, filters) {
+    const tags = tagsOf(exercise);
+    return Object.entries(filters).every(([key, wanted]) =>
+        Array.isArray(wanted) ? wanted.includes(tags[key]) : tags[key] === wanted
+    );
+}
+
+/**
+ * Legacy compound/isolation/push/pull flags, derived from the tags
+ */
+function categoriesOf(exercise) {
+    const { mechanic, force } = tagsOf(exercise);
+    return {
+        compound: mechanic === 'compound',
+        isolation: mechanic === 'isolation',
+        push: force === 'push',
+        pull: force === 'pull'
+    };
+}
+
+module.exports = {
+    tagVocabulary,
+    flagTags,
+    defaultTags,
+    tagsOf,
+    normalizeTags,
+    parseTagFilters,
+    matchesTags,
+    categoriesOf
+};
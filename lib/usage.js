@@ -0,0 +1,164 @@
+/**
+ * Usage plans and quotas
+ * Every API key is on a plan with three limits: requests per 15-minute window
+ * (enforced by express-rate-limit), and daily and monthly quotas tracked here.
+ * Days and months are UTC calendar periods; a null limit means no limit.
+ */
+
+const WINDOW_MS = 15 * 60 * 1000;
+const DEFAULT_PLAN = 'free';
+
+// Days and months of per-key history kept for usage reports
+const DAYS_KEPT = 31;
+const MONTHS_KEPT = 12;
+
+/**
+ * Plans by name; freeWindowLimit overrides the free plan's window limit
+ * (the RATE_LIMIT setting)
+ */
+function createUsagePlans({ freeWindowLimit } = {}) {
+    return {
+        free: { requestsPerWindow: freeWindowLimit || 100, requestsPerDay: 1000, requestsPerMonth: 10000 },
+        basic: { requestsPerWindow: 300, requestsPerDay: 5000, requestsPerMonth: 100000 },
+        pro: { requestsPerWindow: 1000, requestsPerDay: 20000, requestsPerMonth: 500000 },
+        unlimited: { requestsPerWindow: null, requestsPerDay: null, requestsPerMonth: null }
+    };
+}
+
+const planNames = Object.keys(createUsagePlans());
+
+const dayOf = date => date.toISOString().slice(0, 10);
+const monthOf = date => date.toISOString().slice(0, 7);
+
+/**
+ * Start of the next UTC day or month after `date`
+ */
+function nextReset(period, date) {
+    return period === 'day'
+        ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1))
+        : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+}
+
+/**
+ * Keep only the newest `count` keys of a { period: requests } map
+ */
+function trim(counts, count) {
+    Object.keys(counts).sort().slice(0, -count).forEach(key => delete counts[key]);
+}
+
+/**
+ * Used, remaining and reset time of one limit
+ */
+function quotaStatus(used, limit, resetsAt) {
+    return {
+        used,
+        limit,
+        remaining: limit === null ? null : Math.max(0, limit - used),
+        resetsAt: resetsAt.toISOString()
+    };
+}
+
+/**
+ * A wait in words: "12 minutes", "5 hours", "3 days"
+ */
+function formatWait(seconds) {
+    const [value, unit] = seconds < 60 * 60 ? [Math.ceil(seconds / 60), 'minute']
+        : seconds < 2 * 24 * 60 * 60 ? [Math.ceil(seconds / 3600), 'hour']
+            : [Math.ceil(seconds / 86400), 'day'];
+    return `${value} ${unit}${value === 1 ? '' : 's'}`;
+}
+
+/**
+ * Create a daily/monthly quota tracker
+ * Options:
+ *   - usage: saved counters to start from, { [key]: { days, months, lastRequest } }
+ *   - onChange: called with all counters a few seconds after they change, and
+ *     on flush() (optional)
+ *   - saveDelayMs: how long changes are batched before onChange (default: 5000)
+ * Keys without requests this month (so past their day and month windows) are
+ * dropped before each save, so one-off callers do not pile up.
+ */
+function createUsageTracker({ usage = {}, onChange = () => {}, saveDelayMs = 5000 } = {}) {
+    const counters = usage;
+    let saveTimer = null;
+
+    function save() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        const month = monthOf(new Date());
+        Object.keys(counters)
+            .filter(key => !counters[key].months[month])
+            .forEach(key => delete counters[key]);
+        onChange(counters);
+    }
+
+    function changed() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(save, saveDelayMs);
+        saveTimer.unref();
+    }
+
+    const counterOf = key => counters[key] || { days: {}, months: {}, lastRequest: null };
+
+    return {
+        /**
+         * Save pending changes now (e.g. on shutdown)
+         */
+        flush() {
+            if (saveTimer) save();
+        },
+
+        /**
+         * The quota a request would exceed, or null if it may go ahead
+         * Returns { period: day | month, limit, resetsAt }
+         */
+        check(key, plan, now = new Date()) {
+            const counter = counterOf(key);
+            const checks = [
+                { period: 'day', limit: plan.requestsPerDay, used: counter.days[dayOf(now)] || 0 },
+                { period: 'month', limit: plan.requestsPerMonth, used: counter.months[monthOf(now)] || 0 }
+            ];
+            const exceeded = checks.find(item => item.limit !== null && item.used >= item.limit);
+            return exceeded
+                ? { period: exceeded.period, limit: exceeded.limit, resetsAt: nextReset(exceeded.period, now) }
+                : null;
+        },
+
+        /**
+         * Count one accepted request
+         */
+        record(key, now = new Date()) {
+            const counter = counters[key] = counterOf(key);
+            const day = dayOf(now);
+            const month = monthOf(now);
+            counter.days[day] = (counter.days[day] || 0) + 1;
+            counter.months[month] = (counter.months[month] || 0) + 1;
+            counter.lastRequest = now.toISOString();
+            trim(counter.days, DAYS_KEPT);
+            trim(counter.months, MONTHS_KEPT);
+            changed();
+        },
+
+        /**
+         * Daily and monthly usage of a key against its plan
+         * Returns { day, month, lastRequest, daily: [{ date, requests }], monthly: [{ month, requests }] }
+         */
+        report(key, plan, now = new Date()) {
+            const counter = counterOf(key);
+            const daily = [];
+            for (let i = 29; i >= 0; i--) {
+                const date = dayOf(new Date(now.getTime() - i * 24 * 60 * 60 * 1000));
+                daily.push({ date, requests: counter.days[date] || 0 });
+            }
+            return {
+                day: quotaStatus(counter.days[dayOf(now)] || 0, plan.requestsPerDay, nextReset('day', now)),
+                month: quotaStatus(counter.months[monthOf(now)] || 0, plan.requestsPerMonth, nextReset('month', now)),
+                lastRequest: counter.lastRequest,
+                daily,
+                monthly: Object.keys(counter.months).sort().map(month => ({ month, requests: counter.months[month] }))
+            };
+        }
+    };
+}
+
+module.exports = { WINDOW_MS, DEFAULT_PLAN, planNames, createUsagePlans, quotaStatus, formatWait, createUsageTracker };
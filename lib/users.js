@@ -0,0 +1,44 @@
+/**
+ * User identity helpers
+ * API keys are only ever shown once, on creation; the store keeps a SHA-256 hash.
+ */
+const crypto = require('crypto');
+
+// Shared identity for callers without a personal key (dev mode, master API_KEY)
+const GUEST_USER = Object.freeze({
+    id: 0,
+    name: 'guest',
+    guest: true
+});
+
+/**
+ * Generate a new random API key
+ */
+function generateApiKey() {
+    return `wg_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Hash an API key for storage and lookup
+ */
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+/**
+ * Compare a presented secret with the expected one in constant time
+ */
+function keysMatch(given, expected) {
+    if (!given || !expected) return false;
+    return crypto.timingSafeEqual(Buffer.from(hashApiKey(given), 'hex'), Buffer.from(hashApiKey(expected), 'hex'));
+}
+
+/**
+ * Public view of a user (never exposes the key hash)
+ */
+function toProfile(user) {
+    const { apiKeyHash, ...profile } = user;
+    return profile;
+}
+
+module.exports = { GUEST_USER, generateApiKey, hashApiKey, keysMatch, toProfile };
@@ -0,0 +1,292 @@
+/**
+ * Request validation against the OpenAPI document
+ * Checks path params, query params and JSON bodies of every request before it
+ * reaches its handler, and answers 400 with the standard error body (see
+ * lib/errors) listing every problem found. Text bodies (e.g. CSV) are only
+ * checked for being present; their handlers parse them.
+ *
+ * Supports the subset of JSON Schema used in lib/openapi: type (or a list of
+ * types), enum, minimum/maximum, minLength/maxLength, format (date, date-time),
+ * items, minItems, properties, required, additionalProperties, minProperties
+ * and $ref to components.
+ */
+const { sendError } = require('./errors');
+
+const sameValue = (a, b) =>
+    typeof a === 'string' && typeof b === 'string' ? a.toLowerCase() === b.toLowerCase() : a === b;
+
+const typeChecks = {
+    string: value => typeof value === 'string',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    boolean: value => typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    null: value => value === null
+};
+
+const formatChecks = {
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`).getTime()),
+    'date-time': value => !isNaN(new Date(value).getTime())
+};
+
+/**
+ * Follow a local $ref such as #/components/schemas/Tags
+ */
+function resolveRef(schema, spec) {
+    if (!schema || !schema.$ref) return schema;
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], spec);
+    return resolveRef(target, spec);
+}
+
+/**
+ * Validate a value against a schema, pushing { path, message, validOptions? } into errors
+ */
+function validateValue(rawSchema, value, path, spec, errors) {
+    const schema = resolveRef(rawSchema, spec);
+    if (!schema) return;
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => typeChecks[type](value))) {
+            const names = types.map(type => (type === 'null' ? 'null' : /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`));
+            errors.push({ path, message: `must be ${names.join(' or ')}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => sameValue(option, value))) {
+        errors.push({
+            path,
+            message: `must be one of: ${schema.enum.filter(option => option !== null).join(', ')}`,
+            invalid: value,
+            validOptions: schema.enum
+        });
+        return;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be at least ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be at most ${schema.maximum}` });
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.format && formatChecks[schema.format] && !formatChecks[schema.format](value)) {
+            errors.push({ path, message: schema.format === 'date' ? 'must be a date (YYYY-MM-DD)' : 'must be an ISO 8601 date' });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateValue(schema.items, item, `${path}[${i}]`, spec, errors));
+        }
+    }
+
+    if (typeChecks.object(value)) {
+        const properties = schema.properties || {};
+        const join = key => (path ? `${path}.${key}` : key);
+
+        (schema.required || [])
+            .filter(key => value[key] === undefined)
+            .forEach(key => errors.push({ path: join(key), message: 'is required' }));
+
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            errors.push({ path: path || 'body', message: `must have at least ${schema.minProperties} field${schema.minProperties === 1 ? '' : 's'}` });
+        }
+
+        Object.entries(value).forEach(([key, item]) => {
+            if (properties[key]) {
+                if (item !== undefined) validateValue(properties[key], item, join(key), spec, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: join(key), message: 'is not a known field' });
+            }
+        });
+    }
+}
+
+/**
+ * Problems of a value against a schema as messages, e.g. ['sets must be at most 10']
+ * For bodies checked outside a request, such as the rows of an import
+ */
+function schemaErrors(schema, value, spec) {
+    const errors = [];
+    validateValue(schema, value, '', spec, errors);
+    return errors.map(({ path, message }) => `${path || 'body'} ${message}`);
+}
+
+/**
+ * Turn a raw query/path string into the type its schema asks for
+ * Returns { value } or { error } when the text cannot be read as that type
+ */
+function coerceParam(schema, raw) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+    if (types.includes('array')) {
+        const parts = (Array.isArray(raw) ? raw : [raw])
+            .flatMap(part => String(part).split(','))
+            .map(part => part.trim())
+            .filter(Boolean);
+        const items = parts.map(part => coerceParam(schema.items || {}, part));
+        const failed = items.find(item => item.error);
+        return failed || { value: items.map(item => item.value) };
+    }
+
+    if (Array.isArray(raw)) {
+        return { error: 'must be given only once' };
+    }
+    if (typeof raw !== 'string') {
+        return { error: `must be ${types.includes('object') ? 'an object' : 'a single value'}` };
+    }
+    if (types.includes('integer')) {
+        return /^-?\d+$/.test(raw.trim()) ? { value: parseInt(raw, 10) } : { error: 'must be an integer' };
+    }
+    if (types.includes('number')) {
+        const number = Number(raw);
+        return raw.trim() !== '' && Number.isFinite(number) ? { value: number } : { error: 'must be a number' };
+    }
+    if (types.includes('boolean')) {
+        const text = raw.trim().toLowerCase();
+        return text === 'true' || text === 'false' ? { value: text === 'true' } : { error: 'must be true or false' };
+    }
+    return { value: raw.trim() };
+}
+
+/**
+ * Canonical spelling of a validated enum value (query params are case-insensitive)
+ */
+function canonical(schema, value) {
+    const options = schema.enum || (schema.items && schema.items.enum);
+    if (!options) return value;
+    const pick = item => options.find(option => sameValue(option, item));
+    return Array.isArray(value) ? value.map(pick) : pick(value);
+}
+
+/**
+ * Validate one declared parameter; returns the list of problems
+ * Valid enum and boolean values are written back in canonical form so
+ * handlers can compare them directly.
+ */
+function checkParam(param, source, spec) {
+    const schema = resolveRef(param.schema, spec) || {};
+    const raw = source[param.name];
+
+    if (raw === undefined || raw === '') {
+        return param.required ? [{ in: param.in, name: param.name, message: 'is required' }] : [];
+    }
+
+    const coerced = coerceParam(schema, raw);
+    if (coerced.error) {
+        return [{ in: param.in, name: param.name, message: coerced.error, invalid: raw }];
+    }
+
+    const errors = [];
+    validateValue(schema, coerced.value, param.name, spec, errors);
+    if (errors.length > 0) {
+        return errors.map(({ path, ...error }) => ({ in: param.in, name: path, ...error }));
+    }
+
+    if (param.in === 'query' && (schema.enum || (schema.items && schema.items.enum) || schema.type === 'boolean')) {
+        const value = canonical(schema, coerced.value);
+        source[param.name] = Array.isArray(value) ? value.join(',') : String(value);
+    }
+    return [];
+}
+
+const safeDecode = text => {
+    try {
+        return decodeURIComponent(text);
+    } catch (err) {
+        return text;
+    }
+};
+
+/**
+ * Compile the spec's paths into matchers, e.g. /exercise/{id} -> /^\/exercise\/([^/]+)\/?$/i
+ */
+function compileRoutes(spec) {
+    return Object.entries(spec.paths).map(([path, operations]) => {
+        const names = [];
+        const pattern = path
+            .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+            .replace(/\{(\w+)\}/g, (match, name) => {
+                names.push(name);
+                return '([^/]+)';
+            });
+        return { path, regex: new RegExp(`^${pattern}/?$`, 'i'), names, operations };
+    });
+}
+
+/**
+ * Express middleware validating requests against an OpenAPI document
+ * Requests to paths the document does not describe pass through untouched.
+ */
+function createRequestValidator(spec) {
+    const routes = compileRoutes(spec);
+
+    return (req, res, next) => {
+        const method = req.method === 'HEAD' ? 'get' : req.method.toLowerCase();
+        let pathParams;
+        const route = routes.find(candidate => {
+            const match = candidate.regex.exec(req.path);
+            if (!match) return false;
+            pathParams = Object.fromEntries(candidate.names.map((name, i) => [name, safeDecode(match[i + 1])]));
+            return true;
+        });
+        const operation = route && route.operations[method];
+
+        if (!operation) {
+            return next();
+        }
+
+        const errors = [];
+        (operation.parameters || []).forEach(param => {
+            const source = param.in === 'path' ? pathParams : param.in === 'query' ? req.query : null;
+            if (source) errors.push(...checkParam(param, source, spec));
+        });
+
+        if (errors.length === 0 && operation.requestBody) {
+            const { content } = operation.requestBody;
+            // Operations may also take a text body such as text/csv, which the handler parses
+            const textType = Object.keys(content).find(type => type !== 'application/json' && req.is(type));
+            const bodyErrors = [];
+            if (textType) {
+                if (typeof req.body !== 'string' || !req.body.trim()) {
+                    bodyErrors.push({ path: 'body', message: `must be non-empty ${textType}` });
+                }
+            } else if (!typeChecks.object(req.body)) {
+                bodyErrors.push({ path: 'body', message: 'must be a JSON object' });
+            } else {
+                validateValue(content['application/json'].schema, req.body, '', spec, bodyErrors);
+            }
+            errors.push(...bodyErrors.map(({ path, ...error }) => ({ in: 'body', name: path || 'body', ...error })));
+        }
+
+        if (errors.length === 0) {
+            return next();
+        }
+
+        const [first] = errors;
+        const message = first.in === 'body'
+            ? 'Invalid request body'
+            : `Invalid ${first.name.replace(/\[\d+\]$/, '')} parameter`;
+
+        sendError(res, 400, message, {
+            errors: errors.map(error => ({ ...error, message: `${error.name} ${error.message}` }))
+        });
+    };
+}
+
+module.exports = { createRequestValidator, compileRoutes, validateValue, schemaErrors, resolveRef };
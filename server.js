@@ -1,17 +1,104 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 const data = require('./data.json');
+const { createStorage } = require('./lib/storage');
+const { GUEST_USER, generateApiKey, hashApiKey, keysMatch, toProfile } = require('./lib/users');
+const { createRandom } = require('./lib/random');
+const {
+    equipmentCatalog,
+    BODYWEIGHT,
+    normalizeEquipment,
+    parseAvailableEquipment,
+    hasRequiredEquipment
+} = require('./lib/equipment');
+const { splitTemplates, defaultSplits, validateSplit, buildWeeklyPlan } = require('./lib/plans');
+const { buildProgram } = require('./lib/programs');
+const { validateLoggedExercises, summarizeLoggedExercises } = require('./lib/history');
+const {
+    collectSessions,
+    computeRecords,
+    computeSeries,
+    detectPersonalRecords,
+    withUnit
+} = require('./lib/progress');
+const { suggestNextSession } = require('./lib/overload');
+const { buildSession, formatDuration } = require('./lib/session');
+const {
+    STRETCH_MET,
+    metOf,
+    caloriesFor,
+    resolveBodyWeight,
+    prescribedCalories,
+    describeEstimate
+} = require('./lib/calories');
+const { searchExercises, sortExercises } = require('./lib/search');
+const { validMuscles, validateExerciseFields, findDuplicateName } = require('./lib/exercises');
+const { analyzeHistory } = require('./lib/analytics');
+const { MAX_IMPORT_ROWS, rowsFromCsv, rowsFromJson, planImport } = require('./lib/imports');
+const { parseLogFilters, matchesLogFilters } = require('./lib/logs');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, createMetrics } = require('./lib/metrics');
+const {
+    WINDOW_MS,
+    DEFAULT_PLAN,
+    createUsagePlans,
+    quotaStatus,
+    formatWait,
+    createUsageTracker
+} = require('./lib/usage');
+const { recoveryHours, assessRecovery, applyRecovery } = require('./lib/recovery');
+const { tagVocabulary, flagTags, tagsOf, parseTagFilters, matchesTags, categoriesOf } = require('./lib/tags');
+const { rankAlternatives, withinDifficulty } = require('./lib/alternatives');
+const { resolveHiitOptions, buildHiit } = require('./lib/hiit');
+const { MAX_ACTIVE_SESSIONS, HEARTBEAT_MS, buildLiveTimeline, formatEvent, createLiveSessions } = require('./lib/live');
+const {
+    formatTypes,
+    requestedFormat,
+    parseStartDate,
+    planToICalendar,
+    programToICalendar,
+    historyToCsv,
+    exerciseRecord,
+    exercisesToCsv,
+    workoutSheet,
+    planSheet,
+    programSheet,
+    sessionSheet,
+    supersetSheet,
+    renderMarkdown,
+    renderHtml
+} = require('./lib/exports');
+const { apiError, sendError } = require('./lib/errors');
+const { API_VERSION, spec, endpointIndex } = require('./lib/openapi');
+const { createRequestValidator, compileRoutes, schemaErrors } = require('./lib/validation');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a reverse proxy, req.ip (guest usage keys, request logs) must come
+// from X-Forwarded-For: TRUST_PROXY is the number of proxy hops, true/false,
+// or a list of trusted addresses (see Express "trust proxy")
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy)
+        : trustProxy === 'true' ? true : trustProxy === 'false' ? false : trustProxy);
+}
+
+// Persistent storage (users, custom exercises, favorites, history)
+const store = createStorage();
+
+// Live guided sessions; a session that runs to the end is saved to history
+const liveSessions = createLiveSessions({
+    onFinish: session => store.addHistoryEntry(session.userId, {
+        timestamp: new Date().toISOString(),
+        ...session.historyFields(),
+        calorieEstimate: describeEstimate(session.bodyWeight),
+        liveSessionId: session.id
+    })
+});
+
 // In-memory storage
-let customExercises = [];
-let nextCustomId = 1000;
-let favorites = new Set();
-let workoutHistory = [];
 let requestLogs = [];
 let apiStats = {
     totalRequests: 0,
@@ -21,47 +108,140 @@ let apiStats = {
     rateLimitHits: 0
 };
 
-// Exercise categories
-const exerciseCategories = {
-    compound: [1, 4, 7, 8, 9, 12, 14, 15, 18, 20, 21, 25, 36, 40, 45, 48],
-    isolation: [2, 3, 5, 6, 10, 11, 13, 16, 17, 19, 22, 23, 24, 26, 27, 28, 29, 30, 31, 32, 33, 34, 35, 37, 38, 39, 41, 42, 43, 44, 46, 47, 49, 50],
-    push: [1, 2, 3, 4, 5, 6, 7, 21, 23, 24, 25, 27, 29, 36, 37, 38],
-    pull: [8, 9, 10, 11, 12, 13, 14, 26, 28, 30, 40, 41, 42]
+// Prometheus metrics, scraped from GET /metrics
+const metrics = createMetrics({ prefix: 'workout_api_' });
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by method, route template and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by method and route template', ['method', 'route']);
+const rateLimitRejections = metrics.counter('rate_limit_rejections_total', 'Requests rejected by the rate limiter or a quota', ['route', 'limit']);
+const generatorUsage = metrics.counter('generator_requests_total', 'Successful generator requests by type', ['type']);
+
+// Gauges read from the stores on every scrape
+metrics.gauge('exercises', 'Exercises in the catalog by source', () => [
+    { labels: { source: 'built-in' }, value: builtInExercises.length },
+    { labels: { source: 'custom' }, value: store.getCustomExercises().length }
+]);
+metrics.gauge('users', 'Registered users', () => store.getUsers().length);
+metrics.gauge('favorites', 'Favorited exercises across all users', () => store.getFavorites().length);
+metrics.gauge('history_entries', 'Logged workouts across all users', () => store.getHistory().length);
+metrics.gauge('live_sessions', 'Live sessions by state', () => {
+    const counts = {};
+    liveSessions.list().forEach(session => {
+        const { state } = session.snapshot();
+        counts[state] = (counts[state] || 0) + 1;
+    });
+    return Object.entries(counts).map(([state, value]) => ({ labels: { state }, value }));
+});
+metrics.gauge('uptime_seconds', 'Seconds since the process started', () => Math.round(process.uptime()));
+
+// Routes that generate workouts, and the type they count under
+const generatorTypes = {
+    'GET /generate-workout': 'workout',
+    'GET /workout-plan': 'workout-plan',
+    'POST /workout-plan': 'workout-plan',
+    'GET /program': 'program',
+    'POST /program': 'program',
+    'GET /session': 'session',
+    'GET /warm-up': 'warm-up',
+    'GET /random-exercise': 'random-exercise',
+    'GET /superset': 'superset',
+    'POST /swap': 'swap',
+    'GET /hiit': 'hiit',
+    'GET /stretches': 'stretches',
+    'GET /cooldown': 'cooldown',
+    'POST /live-sessions': 'live-session'
 };
 
+// Path templates of the API, for requests rejected before reaching a route
+const specRoutes = compileRoutes(spec);
+
+/**
+ * Route template of a request (/exercise/:id rather than /exercise/12), so
+ * metrics keep one series per route. Requests rejected before reaching a
+ * route (auth, rate limits, validation) are matched against the OpenAPI
+ * paths; anything else shares a single "unmatched" series.
+ */
+function routeTemplate(req, res) {
+    if (req.route) {
+        return req.baseUrl + req.route.path;
+    }
+    // originalUrl, since req.path is relative inside mounted middleware
+    const path = req.originalUrl.split('?')[0];
+    const route = res.statusCode !== 404 && specRoutes.find(candidate => candidate.regex.test(path));
+    return route ? route.path.replace(/\{(\w+)\}/g, ':$1') : 'unmatched';
+}
+
+// Built-in catalog, marked so it can be told apart from custom exercises
+const builtInExercises = data.exercises.map(ex => ({ ...ex, builtIn: true }));
+
+// Valid values for the ?equipment= available gear filter
+const equipmentOptions = [BODYWEIGHT, ...equipmentCatalog.map(item => item.id)];
+
 // Middleware
 app.use(cors());
+// Bulk imports may be CSV, and larger than other bodies
+app.use('/exercises/import', express.json({ limit: '2mb' }), express.text({ type: 'text/csv', limit: '2mb' }));
 app.use(express.json());
 
 // Serve static files (HTML landing page)
 const path = require('path');
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Rate limiting - 100 requests per 15 minutes
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: process.env.RATE_LIMIT || 100, // Limit each IP
-    message: {
-        error: 'Too many requests',
-        message: 'Rate limit exceeded. Please try again later.',
-        retryAfter: '15 minutes'
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    handler: (req, res, next, options) => {
-        apiStats.rateLimitHits++;
-        res.status(options.statusCode).json(options.message);
-    }
+// Request logging middleware
+// Entries are written once the response is done, with its status and latency
+app.use((req, res, next) => {
+    const started = process.hrtime.bigint();
+    const logEntry = {
+        timestamp: new Date().toISOString(),
+        method: req.method,
+        path: req.path,
+        query: req.query,
+        ip: req.ip || req.connection.remoteAddress,
+        userAgent: req.headers['user-agent']?.substring(0, 50),
+        status: null,
+        latencyMs: null
+    };
+
+    res.on('close', () => {
+        logEntry.status = res.statusCode;
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        logEntry.latencyMs = Math.round(seconds * 1e5) / 100;
+
+        const route = routeTemplate(req, res);
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        httpDuration.observe({ method: req.method, route }, seconds);
+        const generator = generatorTypes[`${req.method} ${route}`];
+        if (generator && res.statusCode < 400) {
+            generatorUsage.inc({ type: generator });
+        }
+
+        // Keep last 1000 logs
+        requestLogs.push(logEntry);
+        if (requestLogs.length > 1000) {
+            requestLogs.shift();
+        }
+    });
+
+    // Update stats
+    apiStats.totalRequests++;
+    const endpoint = req.path;
+    apiStats.endpointHits[endpoint] = (apiStats.endpointHits[endpoint] || 0) + 1;
+
+    next();
 });
-app.use('/api', limiter);
-app.use('/exercises', limiter);
-app.use('/exercise', limiter);
-app.use('/generate-workout', limiter);
-app.use('/workout-plan', limiter);
-app.use('/superset', limiter);
-app.use('/hiit', limiter);
 
-// API Key validation middleware (optional - for RapidAPI)
+/**
+ * Find the user behind a RapidAPI subscriber name, creating it on first sight
+ */
+function findOrCreateRapidApiUser(rapidApiUser) {
+    return store.findUser(user => user.rapidApiUser === rapidApiUser) ||
+        store.addUser({
+            name: rapidApiUser,
+            rapidApiUser,
+            createdAt: new Date().toISOString()
+        });
+}
+
+// API Key validation middleware - resolves the caller into req.user
 const validateApiKey = (req, res, next) => {
     // RapidAPI sends key in X-RapidAPI-Key header
     // For direct access, check X-API-Key header
@@ -69,81 +249,270 @@ const validateApiKey = (req, res, next) => {
     const directApiKey = req.headers['x-api-key'];
     const expectedKey = process.env.API_KEY;
 
-    // Skip validation if no API_KEY is set in env (development mode)
-    if (!expectedKey) {
+    // Health checks, the API description and admin routes never need a key
+    if (req.path === '/health' || req.path === '/openapi.json' || req.isAdmin) {
+        return next();
+    }
+
+    // Personal API key issued by POST /users
+    if (directApiKey && directApiKey !== expectedKey) {
+        const hash = hashApiKey(directApiKey);
+        const user = store.findUser(u => u.apiKeyHash === hash);
+
+        if (!user) {
+            return sendError(res, 401, 'Invalid API key. Include a valid X-API-Key header.');
+        }
+
+        req.user = user;
         return next();
     }
 
-    // RapidAPI handles its own auth, so allow those requests
-    if (rapidApiKey) {
+    // RapidAPI handles its own auth, so allow requests its proxy forwarded
+    // and scope data to the RapidAPI subscriber when known. Without the proxy
+    // secret the RapidAPI headers are ignored and the request counts as keyless.
+    if (rapidApiKey && keysMatch(req.headers['x-rapidapi-proxy-secret'], process.env.RAPIDAPI_PROXY_SECRET)) {
+        const rapidApiUser = req.headers['x-rapidapi-user'];
+        req.user = rapidApiUser ? findOrCreateRapidApiUser(rapidApiUser) : GUEST_USER;
+        req.isRapidApi = true;
+        return next();
+    }
+
+    // Skip validation if no API_KEY is set in env (development mode)
+    if (!expectedKey) {
+        req.user = GUEST_USER;
         return next();
     }
 
     // For direct access, validate API key
     if (directApiKey !== expectedKey) {
-        return res.status(401).json({
-            error: 'Unauthorized',
-            message: 'Invalid or missing API key. Include X-API-Key header.'
-        });
+        return sendError(res, 401, 'Invalid or missing API key. Include X-API-Key header.');
     }
 
+    // Master key holders share the guest scope and may manage users
+    req.user = GUEST_USER;
+    req.isMasterKey = true;
     next();
 };
 
-// Request logging middleware
-app.use((req, res, next) => {
-    const logEntry = {
-        timestamp: new Date().toISOString(),
-        method: req.method,
-        path: req.path,
-        query: req.query,
-        ip: req.ip || req.connection.remoteAddress,
-        userAgent: req.headers['user-agent']?.substring(0, 50)
-    };
+// Admin credential for the operator endpoints, separate from API keys
+// Without ADMIN_KEY the admin endpoints are disabled
+// Scrapers may send it as Authorization: Bearer instead of X-Admin-Key
+const adminPaths = ['/logs', '/stats', '/metrics', '/users/:id/plan'];
 
-    // Keep last 1000 logs
-    requestLogs.push(logEntry);
-    if (requestLogs.length > 1000) {
-        requestLogs.shift();
-    }
+/**
+ * Whether the request carries the configured ADMIN_KEY
+ */
+function hasAdminKey(req) {
+    const adminKey = process.env.ADMIN_KEY;
+    const bearer = /^Bearer (.+)$/i.exec(req.headers.authorization || '');
+    const givenKey = req.headers['x-admin-key'] || (bearer && bearer[1]);
+    return Boolean(adminKey) && keysMatch(givenKey, adminKey);
+}
 
-    // Update stats
-    apiStats.totalRequests++;
-    const endpoint = req.path;
-    apiStats.endpointHits[endpoint] = (apiStats.endpointHits[endpoint] || 0) + 1;
+const requireAdmin = (req, res, next) => {
+    if (!process.env.ADMIN_KEY) {
+        return sendError(res, 403, 'Admin endpoints are disabled. Set ADMIN_KEY to enable them.');
+    }
+    if (!hasAdminKey(req)) {
+        return sendError(res, 401, 'Invalid or missing admin key. Include X-Admin-Key header.');
+    }
 
+    req.isAdmin = true;
     next();
+};
+app.use(adminPaths, requireAdmin);
+
+app.use(validateApiKey);
+
+// Usage plans: every API key gets its plan's limit per 15-minute window,
+// then its daily and monthly quotas. Keyless guests are counted by IP.
+const usagePlans = createUsagePlans({ freeWindowLimit: parseInt(process.env.RATE_LIMIT) });
+const usageTracker = createUsageTracker({
+    usage: store.getUsage(),
+    onChange: usage => store.saveUsage(usage)
 });
 
+// Save the last few seconds of usage counts before the process stops
+process.on('exit', () => usageTracker.flush());
+['SIGTERM', 'SIGINT'].forEach(signal => process.once(signal, () => process.exit(0)));
+
 /**
- * Shuffle array using Fisher-Yates algorithm
+ * Usage key and plan of the caller: { key, plan, limits }
+ * The master key and requests forwarded by RapidAPI (proxy secret checked in
+ * validateApiKey) default to unlimited, since RapidAPI meters its own plans.
+ * Anything else without a personal key is counted by IP on the default plan.
  */
-function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+function usageOf(req) {
+    if (!req.usage) {
+        // ipKeyGenerator would group IPv4-mapped addresses (::ffff:1.2.3.4) into one IPv6 subnet
+        let key = `ip:${ipKeyGenerator(String(req.ip || '').replace(/^::ffff:/, ''))}`;
+        let plan = DEFAULT_PLAN;
+        if (req.isMasterKey) {
+            key = 'master';
+            plan = 'unlimited';
+        } else if (!req.user.guest) {
+            key = `user:${req.user.id}`;
+            plan = req.user.plan || (req.isRapidApi ? 'unlimited' : DEFAULT_PLAN);
+        } else if (req.isRapidApi) {
+            key = 'rapidapi';
+            plan = 'unlimited';
+        }
+        req.usage = { key, plan, limits: usagePlans[plan] || usagePlans[DEFAULT_PLAN] };
     }
-    return shuffled;
+    return req.usage;
+}
+
+// Health checks, admin routes and the usage report itself are not metered
+const isUnmetered = req => !req.user || req.path === '/usage';
+
+/**
+ * Reject a request over one of its plan's limits (window, day or month)
+ */
+function rejectOverLimit(req, res, period, resetsAt) {
+    const { plan, limits } = usageOf(req);
+    const limit = { window: limits.requestsPerWindow, day: limits.requestsPerDay, month: limits.requestsPerMonth }[period];
+    const seconds = Math.max(1, Math.ceil((resetsAt - Date.now()) / 1000));
+
+    apiStats.rateLimitHits++;
+    rateLimitRejections.inc({ route: routeTemplate(req, res), limit: period });
+    res.set('Retry-After', String(seconds));
+    sendError(res, 429, period === 'window'
+        ? `Rate limit exceeded: ${limit} requests per 15 minutes on the ${plan} plan.`
+        : `${period === 'day' ? 'Daily' : 'Monthly'} quota exceeded: ${limit} requests per ${period} on the ${plan} plan.`, {
+        plan,
+        limit: period,
+        resetsAt: resetsAt.toISOString(),
+        retryAfter: formatWait(seconds)
+    });
+}
+
+const limiter = rateLimit({
+    windowMs: WINDOW_MS,
+    limit: req => usageOf(req).limits.requestsPerWindow,
+    keyGenerator: req => usageOf(req).key,
+    skip: req => isUnmetered(req) || usageOf(req).limits.requestsPerWindow === null,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => rejectOverLimit(req, res, 'window', req.rateLimit.resetTime)
+});
+
+// Daily and monthly quotas; only requests let through count against them
+const enforceQuotas = (req, res, next) => {
+    if (isUnmetered(req)) {
+        return next();
+    }
+
+    const { key, limits } = usageOf(req);
+    const exceeded = usageTracker.check(key, limits);
+    if (exceeded) {
+        return rejectOverLimit(req, res, exceeded.period, exceeded.resetsAt);
+    }
+
+    usageTracker.record(key);
+    next();
+};
+
+app.use(limiter, enforceQuotas);
+
+// Check params and bodies against the OpenAPI document before any handler runs
+app.use(createRequestValidator(spec));
+
+/**
+ * Send a response body as JSON or in another format the route can render
+ * renderers: { ics, csv, markdown, html } each turning the body into text
+ * ?format= wins over the Accept header; anything else gets JSON
+ */
+function sendFormatted(req, res, body, renderers = {}, filename = 'workout') {
+    const available = ['json', ...Object.keys(renderers)];
+    const requested = requestedFormat(req.query.format);
+
+    if (requested && !available.includes(requested)) {
+        return sendError(res, 400, 'Invalid format parameter', { validOptions: available });
+    }
+
+    const accepted = req.accepts(available.map(format => formatTypes[format]));
+    const format = requested || available.find(f => formatTypes[f] === accepted) || 'json';
+
+    if (format === 'json') {
+        return res.json(body);
+    }
+
+    const extensions = { ics: 'ics', csv: 'csv', markdown: 'md', html: 'html' };
+    res.type(`${formatTypes[format]}; charset=utf-8`);
+    if (format === 'ics' || format === 'csv') {
+        res.attachment(`${filename}.${extensions[format]}`);
+    }
+    res.send(renderers[format](body));
+}
+
+/**
+ * Validate the calendar options for .ics exports
+ * params: { start: YYYY-MM-DD (default: today), weeks }
+ * Returns { error: { status, body } } or { start }
+ */
+function resolveCalendarStart(params) {
+    if (params.start === undefined) {
+        return { start: parseStartDate(new Date().toISOString().slice(0, 10)) };
+    }
+    const start = parseStartDate(params.start);
+    if (!start) {
+        return { error: apiError(400, 'Invalid start parameter', { expected: 'YYYY-MM-DD' }) };
+    }
+    return { start };
+}
+
+/**
+ * Create the seeded generator for a request
+ * Uses ?seed= when given, otherwise a fresh random seed that is echoed back
+ */
+function getRandom(req) {
+    return createRandom(req.query.seed);
+}
+
+/**
+ * Body weight for calorie estimates
+ * params.bodyWeight (in params.bodyWeightUnit, default kg), else the caller's
+ * profile, else the default. Returns { bodyWeightKg, source }
+ */
+function getBodyWeight(req, params = req.query) {
+    const value = params.bodyWeight === undefined ? undefined : Number(params.bodyWeight);
+    return resolveBodyWeight(value, params.bodyWeightUnit, req.user);
 }
 
 /**
  * Get all exercises (built-in + custom)
+ * Only the given user's custom exercises are included; omit userId for everyone's
  */
-function getAllExercises() {
-    return [...data.exercises, ...customExercises];
+function getAllExercises(userId) {
+    return [...builtInExercises, ...store.getCustomExercises(userId)];
 }
 
 /**
- * Get exercise category
+ * Attach next-session load/rep targets from the user's logged history
  */
-function getExerciseCategory(id) {
-    return {
-        compound: exerciseCategories.compound.includes(id),
-        isolation: exerciseCategories.isolation.includes(id),
-        push: exerciseCategories.push.includes(id),
-        pull: exerciseCategories.pull.includes(id)
-    };
+function withPrescriptions(exercises, userId) {
+    const history = store.getHistory(userId);
+    return exercises.map(ex => ({ ...ex, prescription: suggestNextSession(ex, history) }));
+}
+
+/**
+ * Validate the tag filter params (pattern, mechanic, force, unilateral, plyometric, hiit)
+ * Returns { error: { status, body } } or { filters }
+ */
+function resolveTagFilters(params) {
+    const { errors, filters } = parseTagFilters(params);
+
+    if (errors.length > 0) {
+        const [first] = errors;
+        return {
+            error: apiError(400, `Invalid ${first.parameter} parameter`, {
+                invalid: first.invalid,
+                validOptions: first.validOptions
+            })
+        };
+    }
+
+    return { filters };
 }
 
 /**
@@ -152,14 +521,24 @@ function getExerciseCategory(id) {
  *   - muscle: filter by muscle group (optional)
  *   - difficulty: filter by difficulty (optional)
  *   - equipment: filter by equipment (optional)
+ *   - q: search names and descriptions, typos allowed (optional)
+ *   - pattern, mechanic, force: comma lists of tags to include (optional, see GET /tags)
+ *   - unilateral, plyometric, hiit: true | false (optional)
+ *   - sort: name | difficulty | calories | duration (default: relevance with q, else catalog order)
+ *   - order: asc | desc (default: asc)
  *   - page: page number for pagination (default: 1)
  *   - limit: items per page (default: 10, max: 50)
- * Returns paginated list of exercises
+ * Returns paginated list of built-in and your custom exercises
  */
 app.get('/exercises', (req, res) => {
-    const { muscle, difficulty, equipment, page = 1, limit = 10 } = req.query;
+    const { muscle, difficulty, equipment, q, sort, order = 'asc', page = 1, limit = 10 } = req.query;
 
-    let filteredExercises = data.exercises;
+    const tagFilters = resolveTagFilters(req.query);
+    if (tagFilters.error) {
+        return res.status(tagFilters.error.status).json(tagFilters.error.body);
+    }
+
+    let filteredExercises = getAllExercises(req.user.id).filter(ex => matchesTags(ex, tagFilters.filters));
 
     // Apply filters
     if (muscle) {
@@ -180,6 +559,15 @@ app.get('/exercises', (req, res) => {
         );
     }
 
+    // Search ranks by relevance; an explicit sort takes precedence
+    if (q && q.trim()) {
+        filteredExercises = searchExercises(filteredExercises, q);
+    }
+
+    if (sort) {
+        filteredExercises = sortExercises(filteredExercises, sort, order);
+    }
+
     // Pagination
     const pageNum = Math.max(1, parseInt(page));
     const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
@@ -205,34 +593,40 @@ app.get('/exercises', (req, res) => {
  *   - muscle: chest | back | legs (optional)
  *   - difficulty: beginner | intermediate | advanced (optional)
  *   - count: number of exercises to return (default: 3, max: 10)
- * Returns random exercises matching the filters
+ *   - equipment: comma list of available gear, or "none" for bodyweight only (optional)
+ *   - progression: true to prescribe load/reps from your logged history (optional)
+ *   - recovery: exclude | prefer, to skip or deprioritize muscles still recovering
+ *     from your logged sessions (optional, see GET /recovery)
+ *   - pattern, mechanic, force: comma lists of tags to include (optional, see GET /tags)
+ *   - unilateral, plyometric, hiit: true | false (optional)
+ *   - seed: makes the selection reproducible (optional)
+ *   - format: json | markdown | html (default: json, or from the Accept header)
+ * Returns random exercises matching the filters, from the built-in catalog and
+ * your custom exercises
  */
 app.get('/generate-workout', (req, res) => {
-    const { muscle, difficulty, count = 3 } = req.query;
-
-    // Validate muscle parameter if provided
-    const validMuscles = ['chest', 'back', 'legs', 'shoulders', 'arms', 'core'];
-    if (muscle && !validMuscles.includes(muscle.toLowerCase())) {
-        return res.status(400).json({
-            error: 'Invalid muscle parameter',
-            validOptions: validMuscles
+    const { muscle, difficulty, equipment, progression, recovery, count = 3 } = req.query;
+    const rng = getRandom(req);
+
+    // Validate available equipment if provided
+    const gear = equipment ? parseAvailableEquipment(equipment) : null;
+    if (gear && gear.unknown.length > 0) {
+        return sendError(res, 400, 'Invalid equipment parameter', {
+            invalid: gear.unknown,
+            validOptions: equipmentOptions
         });
     }
 
-    // Validate difficulty parameter if provided
-    const validDifficulties = ['beginner', 'intermediate', 'advanced'];
-    if (difficulty && !validDifficulties.includes(difficulty.toLowerCase())) {
-        return res.status(400).json({
-            error: 'Invalid difficulty parameter',
-            validOptions: validDifficulties
-        });
+    const tagFilters = resolveTagFilters(req.query);
+    if (tagFilters.error) {
+        return res.status(tagFilters.error.status).json(tagFilters.error.body);
     }
 
     // Parse and validate count
     const exerciseCount = Math.min(10, Math.max(1, parseInt(count) || 3));
 
     // Filter exercises based on query parameters
-    let filteredExercises = data.exercises;
+    let filteredExercises = getAllExercises(req.user.id).filter(ex => matchesTags(ex, tagFilters.filters));
 
     if (muscle) {
         filteredExercises = filteredExercises.filter(
@@ -246,124 +640,387 @@ app.get('/generate-workout', (req, res) => {
         );
     }
 
+    if (gear) {
+        filteredExercises = filteredExercises.filter(
+            ex => hasRequiredEquipment(ex, gear.available)
+        );
+    }
+
     // Check if we have enough exercises
     if (filteredExercises.length === 0) {
-        return res.status(404).json({
-            error: 'No exercises found matching your criteria',
+        return sendError(res, 404, 'No exercises found matching your criteria', {
             muscle: muscle || 'any',
-            difficulty: difficulty || 'any'
+            difficulty: difficulty || 'any',
+            equipment: equipment || 'any',
+            tags: tagFilters.filters
         });
     }
 
-    // Shuffle and pick exercises
-    const shuffled = shuffleArray(filteredExercises);
-    const workout = shuffled.slice(0, Math.min(exerciseCount, shuffled.length));
+    // Shuffle, or let the recovery mode narrow and order the pool
+    const readiness = recovery ? assessRecovery(store.getHistory(req.user.id), validMuscles) : null;
+    const ranked = recovery
+        ? applyRecovery(filteredExercises, readiness, recovery, rng)
+        : { exercises: rng.shuffle(filteredExercises), excluded: [] };
 
-    res.json({
+    if (ranked.exercises.length === 0) {
+        return sendError(res, 404, 'Every matching exercise targets a muscle that is still recovering', {
+            excluded: ranked.excluded,
+            readiness
+        });
+    }
+
+    const picked = ranked.exercises.slice(0, Math.min(exerciseCount, ranked.exercises.length));
+    const workout = progression === 'true' ? withPrescriptions(picked, req.user.id) : picked;
+
+    sendFormatted(req, res, {
         workout,
         count: workout.length,
         filters: {
             muscle: muscle || 'all',
-            difficulty: difficulty || 'all'
-        }
+            difficulty: difficulty || 'all',
+            equipment: gear ? [...gear.available] : 'all',
+            tags: tagFilters.filters
+        },
+        ...(recovery && { recovery: { mode: recovery, excluded: ranked.excluded, muscles: readiness } }),
+        seed: rng.seed
+    }, {
+        markdown: body => renderMarkdown(workoutSheet(body)),
+        html: body => renderHtml(workoutSheet(body))
     });
 });
 
+/**
+ * Validate and resolve the shared plan parameters
+ * params: { difficulty, days, equipment, split, ...tag filters } where split is a
+ * template name or a custom { name, days: [{ name, muscles }] } definition
+ * Returns { error: { status, body } } or the resolved options
+ */
+function resolvePlanParams(req, params) {
+    const { difficulty = 'intermediate', days, equipment, split } = params;
+
+    // Validate available equipment if provided
+    const gear = equipment ? parseAvailableEquipment(equipment) : null;
+    if (gear && gear.unknown.length > 0) {
+        return {
+            error: apiError(400, 'Invalid equipment parameter', { invalid: gear.unknown, validOptions: equipmentOptions })
+        };
+    }
+
+    const tagFilters = resolveTagFilters(params);
+    if (tagFilters.error) {
+        return tagFilters;
+    }
+
+    // Resolve the split: custom definition, named template or difficulty default
+    let splitId;
+    let splitDefinition;
+
+    if (split && typeof split === 'object') {
+        const errors = validateSplit(split, validMuscles);
+        if (errors.length > 0) {
+            return { error: apiError(400, 'Invalid split definition', { errors }) };
+        }
+        splitId = 'custom';
+        splitDefinition = { name: split.name || 'Custom Split', days: split.days };
+    } else {
+        splitId = split ? String(split).toLowerCase() : defaultSplits[difficulty.toLowerCase()];
+        splitDefinition = splitTemplates[splitId];
+        if (!splitDefinition) {
+            return { error: apiError(400, 'Invalid split parameter', { validOptions: Object.keys(splitTemplates) }) };
+        }
+    }
+
+    // Parse and validate days (custom splits default to one week of their own length)
+    const defaultDays = splitId === 'custom' ? splitDefinition.days.length : 5;
+    const workoutDays = Math.min(7, Math.max(1, parseInt(days) || defaultDays));
+
+    const exercises = getAllExercises(req.user.id).filter(ex =>
+        (!gear || hasRequiredEquipment(ex, gear.available)) &&
+        matchesTags(ex, tagFilters.filters)
+    );
+
+    return {
+        difficulty: difficulty.toLowerCase(),
+        gear,
+        tagFilters: tagFilters.filters,
+        splitId,
+        splitDefinition,
+        workoutDays,
+        exercises
+    };
+}
+
+/**
+ * Build and send a weekly plan (shared by GET and POST /workout-plan)
+ */
+function sendWorkoutPlan(req, res, params) {
+    const options = resolvePlanParams(req, params);
+    if (options.error) {
+        return res.status(options.error.status).json(options.error.body);
+    }
+
+    const calendar = resolveCalendarStart(params);
+    if (calendar.error) {
+        return res.status(calendar.error.status).json(calendar.error.body);
+    }
+    const repeatWeeks = Math.min(52, Math.max(1, parseInt(params.weeks) || 1));
+
+    const rng = getRandom(req);
+    let weeklyPlan = buildWeeklyPlan({
+        split: options.splitDefinition,
+        days: options.workoutDays,
+        exercises: options.exercises,
+        rng
+    });
+
+    if (params.progression === true || params.progression === 'true') {
+        weeklyPlan = weeklyPlan.map(day => ({
+            ...day,
+            exercises: withPrescriptions(day.exercises, req.user.id)
+        }));
+    }
+
+    sendFormatted(req, res, {
+        plan: weeklyPlan,
+        difficulty: options.difficulty,
+        split: { id: options.splitId, name: options.splitDefinition.name },
+        equipment: options.gear ? [...options.gear.available] : 'all',
+        tags: options.tagFilters,
+        totalWorkoutDays: weeklyPlan.filter(d => d.exercises.length > 0).length,
+        totalExercises: weeklyPlan.reduce((sum, d) => sum + d.exercises.length, 0),
+        seed: rng.seed
+    }, {
+        ics: body => planToICalendar(body.plan, { start: calendar.start, weeks: repeatWeeks, name: body.split.name }),
+        markdown: body => renderMarkdown(planSheet(body)),
+        html: body => renderHtml(planSheet(body))
+    }, 'workout-plan');
+}
+
+/**
+ * Build and send a periodized multi-week program (shared by GET and POST /program)
+ * params: plan params plus { weeks, periodization, deloadEvery }
+ */
+function sendProgram(req, res, params) {
+    const { weeks = 8, periodization = 'linear', deloadEvery = 4 } = params;
+
+    const options = resolvePlanParams(req, params);
+    if (options.error) {
+        return res.status(options.error.status).json(options.error.body);
+    }
+
+    const calendar = resolveCalendarStart(params);
+    if (calendar.error) {
+        return res.status(calendar.error.status).json(calendar.error.body);
+    }
+
+    // Parse and validate program length and deload frequency
+    const weekCount = Math.min(12, Math.max(4, parseInt(weeks) || 8));
+    const parsedDeload = parseInt(deloadEvery);
+    const deloadFrequency = parsedDeload === 0 ? 0 : Math.min(weekCount, Math.max(2, parsedDeload || 4));
+
+    // One weekly selection reused for every week so progress is comparable
+    const rng = getRandom(req);
+    const weeklyPlan = buildWeeklyPlan({
+        split: options.splitDefinition,
+        days: options.workoutDays,
+        exercises: options.exercises,
+        rng
+    });
+
+    const program = buildProgram({
+        weeklyPlan,
+        weeks: weekCount,
+        periodization: periodization.toLowerCase(),
+        deloadEvery: deloadFrequency,
+        difficulty: options.difficulty
+    });
+
+    sendFormatted(req, res, {
+        program,
+        summary: {
+            weeks: weekCount,
+            periodization: periodization.toLowerCase(),
+            deloadWeeks: program.filter(w => w.phase === 'deload').map(w => w.week),
+            difficulty: options.difficulty,
+            split: { id: options.splitId, name: options.splitDefinition.name },
+            trainingDaysPerWeek: weeklyPlan.filter(d => d.exercises.length > 0).length,
+            equipment: options.gear ? [...options.gear.available] : 'all',
+            tags: options.tagFilters
+        },
+        seed: rng.seed
+    }, {
+        ics: body => programToICalendar(body.program, { start: calendar.start, name: programSheet(body).title }),
+        markdown: body => renderMarkdown(programSheet(body)),
+        html: body => renderHtml(programSheet(body))
+    }, 'program');
+}
+
 /**
  * GET /workout-plan
  * Query params:
  *   - difficulty: beginner | intermediate | advanced (default: intermediate)
  *   - days: number of workout days per week (default: 5, max: 7)
+ *   - split: full-body | upper-lower | ppl | bro (default: based on difficulty)
+ *   - equipment: comma list of available gear, or "none" for bodyweight only (optional)
+ *   - progression: true to prescribe load/reps from your logged history (optional)
+ *   - pattern, mechanic, force: comma lists of tags to include (optional, see GET /tags)
+ *   - unilateral, plyometric, hiit: true | false (optional)
+ *   - seed: makes the plan reproducible (optional)
+ *   - format: json | ics | markdown | html (default: json, or from the Accept header)
+ *   - start: first day of the calendar for ics, YYYY-MM-DD (default: today)
+ *   - weeks: how many weeks the ics events repeat (default: 1, max: 52)
  * Returns a weekly workout plan
  */
 app.get('/workout-plan', (req, res) => {
-    const { difficulty = 'intermediate', days = 5 } = req.query;
-
-    // Validate difficulty
-    const validDifficulties = ['beginner', 'intermediate', 'advanced'];
-    if (!validDifficulties.includes(difficulty.toLowerCase())) {
-        return res.status(400).json({
-            error: 'Invalid difficulty parameter',
-            validOptions: validDifficulties
-        });
-    }
+    sendWorkoutPlan(req, res, req.query);
+});
 
-    // Parse and validate days
-    const workoutDays = Math.min(7, Math.max(1, parseInt(days) || 5));
-
-    // Define workout split based on difficulty
-    const workoutSplits = {
-        beginner: [
-            { name: 'Full Body A', muscles: ['chest', 'back', 'legs'] },
-            { name: 'Rest', muscles: [] },
-            { name: 'Full Body B', muscles: ['shoulders', 'arms', 'core'] },
-            { name: 'Rest', muscles: [] },
-            { name: 'Full Body A', muscles: ['chest', 'back', 'legs'] },
-            { name: 'Active Recovery', muscles: ['core'] },
-            { name: 'Rest', muscles: [] }
-        ],
-        intermediate: [
-            { name: 'Push Day', muscles: ['chest', 'shoulders'] },
-            { name: 'Pull Day', muscles: ['back', 'arms'] },
-            { name: 'Leg Day', muscles: ['legs', 'core'] },
-            { name: 'Rest', muscles: [] },
-            { name: 'Upper Body', muscles: ['chest', 'back', 'shoulders'] },
-            { name: 'Lower Body', muscles: ['legs', 'core'] },
-            { name: 'Rest', muscles: [] }
-        ],
-        advanced: [
-            { name: 'Chest & Triceps', muscles: ['chest', 'arms'] },
-            { name: 'Back & Biceps', muscles: ['back', 'arms'] },
-            { name: 'Legs', muscles: ['legs'] },
-            { name: 'Shoulders & Core', muscles: ['shoulders', 'core'] },
-            { name: 'Upper Power', muscles: ['chest', 'back'] },
-            { name: 'Lower Power', muscles: ['legs', 'core'] },
-            { name: 'Active Recovery', muscles: ['core', 'shoulders'] }
-        ]
-    };
+/**
+ * POST /workout-plan
+ * Build a weekly plan from a custom split definition
+ * Body: { split: { name, days: [{ name, muscles }] }, difficulty, days, equipment, progression, ...tag filters }
+ * Query params:
+ *   - seed: makes the plan reproducible (optional)
+ *   - format, start, weeks: same as GET /workout-plan
+ */
+app.post('/workout-plan', (req, res) => {
+    sendWorkoutPlan(req, res, req.body);
+});
+
+/**
+ * GET /program
+ * Query params:
+ *   - weeks: program length (default: 8, min: 4, max: 12)
+ *   - periodization: linear | undulating (default: linear)
+ *   - deloadEvery: every Nth week is a deload, 0 for none (default: 4)
+ *   - difficulty, days, split, equipment, tag filters, seed: same as /workout-plan
+ *   - format: json | ics | markdown | html (default: json, or from the Accept header)
+ *   - start: first day of week 1 for ics, YYYY-MM-DD (default: today)
+ * Returns a multi-week program with the same exercises every week and
+ * sets/reps/intensity progressing week over week
+ */
+app.get('/program', (req, res) => {
+    sendProgram(req, res, req.query);
+});
 
-    const dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-    const split = workoutSplits[difficulty.toLowerCase()];
+/**
+ * POST /program
+ * Same as GET /program with a custom split definition
+ * Body: { split: { name, days: [{ name, muscles }] }, weeks, periodization, deloadEvery, difficulty, days, equipment }
+ */
+app.post('/program', (req, res) => {
+    sendProgram(req, res, req.body);
+});
 
-    // Generate the weekly plan
-    const weeklyPlan = [];
+/**
+ * GET /splits
+ * List the built-in training splits usable with /workout-plan?split=
+ */
+app.get('/splits', (req, res) => {
+    const splits = Object.entries(splitTemplates).map(([id, split]) => ({
+        id,
+        name: split.name,
+        days: split.days,
+        defaultFor: Object.keys(defaultSplits).filter(level => defaultSplits[level] === id)
+    }));
 
-    for (let i = 0; i < 7; i++) {
-        const dayPlan = split[i];
+    res.json({ splits, count: splits.length });
+});
 
-        if (dayPlan.muscles.length === 0) {
-            // Rest day
-            weeklyPlan.push({
-                day: dayNames[i],
-                type: dayPlan.name,
-                exercises: []
-            });
-        } else {
-            // Workout day - get exercises for each muscle group
-            const dayExercises = [];
-
-            for (const muscle of dayPlan.muscles) {
-                const muscleExercises = data.exercises.filter(
-                    ex => ex.muscle === muscle
-                );
-                const shuffled = shuffleArray(muscleExercises);
-                // Pick 2 exercises per muscle group
-                dayExercises.push(...shuffled.slice(0, 2));
-            }
+/**
+ * GET /session
+ * Build a complete session (warm-up, main work, cool-down) that fits a time budget
+ * Query params:
+ *   - minutes: target session length (default: 45, min: 15, max: 180)
+ *   - muscles: comma list of muscle groups for the main block (default: all)
+ *   - difficulty: beginner | intermediate | advanced (optional)
+ *   - equipment: comma list of available gear, or "none" for bodyweight only (optional)
+ *   - pattern, mechanic, force: comma lists of tags to include (optional, see GET /tags)
+ *   - unilateral, plyometric, hiit: true | false (optional)
+ *   - bodyWeight, bodyWeightUnit: for the calorie estimate (default: your profile, else 70 kg)
+ *   - seed: makes the session reproducible (optional)
+ *   - format: json | markdown | html (default: json, or from the Accept header)
+ * Every block carries MET-based calorie estimates; `calories` sums them
+ */
+app.get('/session', (req, res) => {
+    const { minutes = 45, muscles, difficulty, equipment } = req.query;
+    const rng = getRandom(req);
+
+    const muscleList = muscles ? [...new Set(muscles.split(','))] : validMuscles;
+
+    // Validate available equipment if provided
+    const gear = equipment ? parseAvailableEquipment(equipment) : null;
+    if (gear && gear.unknown.length > 0) {
+        return sendError(res, 400, 'Invalid equipment parameter', {
+            invalid: gear.unknown,
+            validOptions: equipmentOptions
+        });
+    }
 
-            weeklyPlan.push({
-                day: dayNames[i],
-                type: dayPlan.name,
-                exercises: dayExercises
-            });
-        }
+    const tagFilters = resolveTagFilters(req.query);
+    if (tagFilters.error) {
+        return res.status(tagFilters.error.status).json(tagFilters.error.body);
     }
 
-    res.json({
-        plan: weeklyPlan,
-        difficulty: difficulty.toLowerCase(),
-        totalWorkoutDays: weeklyPlan.filter(d => d.exercises.length > 0).length,
-        totalExercises: weeklyPlan.reduce((sum, d) => sum + d.exercises.length, 0)
+    const sessionMinutes = Math.min(180, Math.max(15, parseInt(minutes) || 45));
+
+    const exercises = getAllExercises(req.user.id).filter(ex =>
+        (!difficulty || ex.difficulty === difficulty.toLowerCase()) &&
+        (!gear || hasRequiredEquipment(ex, gear.available)) &&
+        matchesTags(ex, tagFilters.filters)
+    );
+
+    const session = buildSession({
+        minutes: sessionMinutes,
+        muscles: muscleList,
+        exercises,
+        warmups: data.warmups || [],
+        stretches: data.stretches || [],
+        rng
+    });
+
+    const bodyWeight = getBodyWeight(req);
+    const kg = bodyWeight.bodyWeightKg;
+    const warmupItems = session.warmup.items.map(w => ({ ...w, calories: caloriesFor(metOf(w), kg, w.seconds) }));
+    const mainExercises = session.main.exercises.map(ex => ({
+        ...ex,
+        met: metOf(ex),
+        estimatedCalories: prescribedCalories(ex, ex.restSeconds, kg).calories
+    }));
+    const stretchItems = session.cooldown.stretches.map(st => ({ ...st, calories: caloriesFor(STRETCH_MET, kg, st.seconds) }));
+    const sum = (items, key) => Math.round(items.reduce((total, item) => total + item[key], 0));
+    const calories = {
+        warmup: sum(warmupItems, 'calories'),
+        main: sum(mainExercises, 'estimatedCalories'),
+        cooldown: sum(stretchItems, 'calories')
+    };
+    calories.total = calories.warmup + calories.main + calories.cooldown;
+
+    sendFormatted(req, res, {
+        session: {
+            warmup: { ...session.warmup, items: warmupItems },
+            main: { ...session.main, exercises: mainExercises },
+            cooldown: { ...session.cooldown, stretches: stretchItems }
+        },
+        breakdown: {
+            warmup: `${formatDuration(session.warmup.seconds)} min`,
+            main: `${formatDuration(session.main.seconds)} min`,
+            cooldown: `${formatDuration(session.cooldown.seconds)} min`,
+            total: `${formatDuration(session.totalSeconds)} min`,
+            target: `${formatDuration(session.targetSeconds)} min`
+        },
+        calories,
+        calorieEstimate: describeEstimate(bodyWeight),
+        filters: {
+            muscles: muscleList,
+            difficulty: difficulty || 'all',
+            equipment: gear ? [...gear.available] : 'all',
+            tags: tagFilters.filters
+        },
+        seed: rng.seed
+    }, {
+        markdown: body => renderMarkdown(sessionSheet(body)),
+        html: body => renderHtml(sessionSheet(body))
     });
 });
 
@@ -372,18 +1029,13 @@ app.get('/workout-plan', (req, res) => {
  * Query params:
  *   - type: upper | lower | cardio | core | full (default: full)
  *   - count: number of warm-up exercises (default: 5)
- * Returns warm-up routine
+ *   - bodyWeight, bodyWeightUnit: for the calorie estimate (default: your profile, else 70 kg)
+ *   - seed: makes the routine reproducible (optional)
+ * Returns warm-up routine with MET-based calories per exercise
  */
 app.get('/warm-up', (req, res) => {
     const { type = 'full', count = 5 } = req.query;
-
-    const validTypes = ['upper', 'lower', 'cardio', 'core', 'full'];
-    if (!validTypes.includes(type.toLowerCase())) {
-        return res.status(400).json({
-            error: 'Invalid type parameter',
-            validOptions: validTypes
-        });
-    }
+    const rng = getRandom(req);
 
     let warmups = data.warmups || [];
 
@@ -394,19 +1046,25 @@ app.get('/warm-up', (req, res) => {
 
     // Shuffle and pick
     const exerciseCount = Math.min(warmups.length, Math.max(1, parseInt(count) || 5));
-    const shuffled = shuffleArray(warmups);
-    const routine = shuffled.slice(0, exerciseCount);
+    const shuffled = rng.shuffle(warmups);
+    const bodyWeight = getBodyWeight(req);
+    const routine = shuffled.slice(0, exerciseCount).map(w => ({
+        ...w,
+        calories: caloriesFor(metOf(w), bodyWeight.bodyWeightKg, w.duration)
+    }));
 
     // Calculate totals
     const totalDuration = routine.reduce((sum, w) => sum + w.duration, 0);
-    const totalCalories = routine.reduce((sum, w) => sum + w.calories, 0);
+    const totalCalories = Math.round(routine.reduce((sum, w) => sum + w.calories, 0));
 
     res.json({
         warmup: routine,
         count: routine.length,
         totalDuration: `${Math.floor(totalDuration / 60)}:${String(totalDuration % 60).padStart(2, '0')} min`,
         totalCalories,
-        type: type.toLowerCase()
+        calorieEstimate: describeEstimate(bodyWeight),
+        type: type.toLowerCase(),
+        seed: rng.seed
     });
 });
 
@@ -415,12 +1073,21 @@ app.get('/warm-up', (req, res) => {
  * Query params:
  *   - muscle: filter by muscle group (optional)
  *   - difficulty: filter by difficulty (optional)
+ *   - pattern, mechanic, force: comma lists of tags to include (optional, see GET /tags)
+ *   - unilateral, plyometric, hiit: true | false (optional)
+ *   - seed: makes the pick reproducible (optional)
  * Returns a single random exercise
  */
 app.get('/random-exercise', (req, res) => {
     const { muscle, difficulty } = req.query;
+    const rng = getRandom(req);
+
+    const tagFilters = resolveTagFilters(req.query);
+    if (tagFilters.error) {
+        return res.status(tagFilters.error.status).json(tagFilters.error.body);
+    }
 
-    let exercises = getAllExercises();
+    let exercises = getAllExercises(req.user.id).filter(ex => matchesTags(ex, tagFilters.filters));
 
     if (muscle) {
         exercises = exercises.filter(
@@ -435,155 +1102,619 @@ app.get('/random-exercise', (req, res) => {
     }
 
     if (exercises.length === 0) {
-        return res.status(404).json({
-            error: 'No exercises found matching your criteria'
-        });
+        return sendError(res, 404, 'No exercises found matching your criteria');
     }
 
-    const randomIndex = Math.floor(Math.random() * exercises.length);
-    res.json({ exercise: exercises[randomIndex] });
+    res.json({ exercise: rng.pick(exercises), seed: rng.seed });
 });
 
+/**
+ * Look up a custom exercise the caller may modify
+ * Built-in exercises are read-only for everyone; custom exercises can only be
+ * changed by the user who created them (others get 404, as they cannot see them).
+ * Returns { error: { status, body } } or { exercise }
+ */
+function resolveOwnedExercise(req, action) {
+    const id = parseInt(req.params.id);
+    const exercise = getAllExercises(req.user.id).find(ex => ex.id === id);
+
+    if (exercise && exercise.builtIn) {
+        return { error: apiError(403, `Cannot ${action} built-in exercises`) };
+    }
+    if (!exercise) {
+        return { error: apiError(404, 'Custom exercise not found') };
+    }
+    return { exercise };
+}
+
+/**
+ * Read an exercise body (already checked against its schema) and check its
+ * reps format and that its name is not already taken in the caller's catalog
+ * Returns { error: { status, body } } or { fields }
+ */
+function resolveExerciseFields(req, partial, exceptId) {
+    const { errors, fields } = validateExerciseFields(req.body, partial);
+
+    if (errors.length > 0) {
+        return { error: apiError(400, 'Invalid request body', { errors: errors.map(error => ({ in: 'body', ...error })) }) };
+    }
+
+    const duplicate = fields.name && findDuplicateName(getAllExercises(req.user.id), fields.name, exceptId);
+    if (duplicate) {
+        return {
+            error: apiError(409, 'An exercise with this name already exists', {
+                exercise: { id: duplicate.id, name: duplicate.name, builtIn: duplicate.builtIn === true }
+            })
+        };
+    }
+
+    return { fields };
+}
+
 /**
  * POST /exercises
  * Add a custom exercise
- * Body: { name, muscle, difficulty, description, equipment, sets, reps, duration, calories }
+ * Body: { name, muscle, difficulty, description, equipment, sets, reps, duration, calories, tags }
+ * name, muscle and difficulty are required; names must be unique in your catalog
+ * tags: { pattern, mechanic, force, unilateral, plyometric, hiit } (see GET /tags)
  */
 app.post('/exercises', (req, res) => {
-    const { name, muscle, difficulty, description, equipment } = req.body;
+    const { error, fields } = resolveExerciseFields(req, false);
+    if (error) {
+        return res.status(error.status).json(error.body);
+    }
 
-    // Validate required fields
-    if (!name || !muscle || !difficulty) {
-        return res.status(400).json({
-            error: 'Missing required fields',
-            required: ['name', 'muscle', 'difficulty']
-        });
+    const newExercise = store.addCustomExercise(req.user.id, {
+        ...fields,
+        custom: true,
+        builtIn: false
+    });
+
+    res.status(201).json({
+        message: 'Exercise created successfully',
+        exercise: newExercise
+    });
+});
+
+/**
+ * PUT /exercises/:id
+ * Replace one of your custom exercises, keeping its ID
+ * Body: same as POST; omitted optional fields go back to their defaults
+ */
+app.put('/exercises/:id', (req, res) => {
+    const owned = resolveOwnedExercise(req, 'modify');
+    if (owned.error) {
+        return res.status(owned.error.status).json(owned.error.body);
+    }
+
+    const { error, fields } = resolveExerciseFields(req, false, owned.exercise.id);
+    if (error) {
+        return res.status(error.status).json(error.body);
+    }
+
+    const updated = store.updateCustomExercise(req.user.id, owned.exercise.id, fields);
+    res.json({
+        message: 'Exercise updated successfully',
+        exercise: updated
+    });
+});
+
+/**
+ * PATCH /exercises/:id
+ * Update some fields of one of your custom exercises
+ * Body: any of the POST fields; tags are merged into the existing tags
+ */
+app.patch('/exercises/:id', (req, res) => {
+    const owned = resolveOwnedExercise(req, 'modify');
+    if (owned.error) {
+        return res.status(owned.error.status).json(owned.error.body);
+    }
+
+    const { error, fields } = resolveExerciseFields(req, true, owned.exercise.id);
+    if (error) {
+        return res.status(error.status).json(error.body);
+    }
+    if (fields.tags) {
+        fields.tags = { ...tagsOf(owned.exercise), ...fields.tags };
+    }
+
+    const updated = store.updateCustomExercise(req.user.id, owned.exercise.id, fields);
+    res.json({
+        message: 'Exercise updated successfully',
+        exercise: updated
+    });
+});
+
+/**
+ * DELETE /exercises/:id
+ * Delete one of your custom exercises
+ */
+app.delete('/exercises/:id', (req, res) => {
+    const owned = resolveOwnedExercise(req, 'delete');
+    if (owned.error) {
+        return res.status(owned.error.status).json(owned.error.body);
+    }
+
+    const deleted = store.removeCustomExercise(req.user.id, owned.exercise.id);
+    res.json({
+        message: 'Exercise deleted successfully',
+        exercise: deleted
+    });
+});
+
+/**
+ * POST /exercises/import
+ * Add many custom exercises at once
+ * Body: { exercises: [...] } with the POST /exercises fields, or CSV
+ * (Content-Type: text/csv) with a header row naming the fields and tag columns
+ * Query:
+ *   - dryRun: true to only report what each row would do
+ *   - onDuplicate: skip | update, for names already in your catalog (default: skip)
+ * Nothing is saved when any row is invalid; the 400 lists every invalid row
+ */
+app.post('/exercises/import', (req, res) => {
+    const { dryRun, onDuplicate = 'skip' } = req.query;
+    const format = typeof req.body === 'string' ? 'csv' : 'json';
+    const parsed = format === 'csv' ? rowsFromCsv(req.body) : { rows: rowsFromJson(req.body.exercises) };
+
+    if (parsed.error) {
+        return sendError(res, 400, parsed.error);
+    }
+    if (parsed.rows.length === 0) {
+        return sendError(res, 400, 'The import contains no exercises');
+    }
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        return sendError(res, 400, `Imports are limited to ${MAX_IMPORT_ROWS} exercises`, { rows: parsed.rows.length });
     }
 
-    // Validate muscle
-    const validMuscles = ['chest', 'back', 'legs', 'shoulders', 'arms', 'core'];
-    if (!validMuscles.includes(muscle.toLowerCase())) {
-        return res.status(400).json({
-            error: 'Invalid muscle parameter',
-            validOptions: validMuscles
+    const checkBody = body => schemaErrors(spec.components.schemas.ExerciseInput, body, spec);
+    const planned = planImport(parsed.rows, getAllExercises(req.user.id), checkBody, onDuplicate);
+    const count = action => planned.filter(item => item.action === action).length;
+    const summary = {
+        rows: planned.length,
+        created: count('create'),
+        updated: count('update'),
+        skipped: count('skip'),
+        invalid: count('invalid')
+    };
+    const report = planned.map(({ fields, ...item }) => item);
+    const invalidRows = `${summary.invalid} invalid ${summary.invalid === 1 ? 'row' : 'rows'}`;
+
+    if (dryRun === 'true') {
+        return res.json({
+            message: summary.invalid > 0
+                ? `Dry run: ${invalidRows}; nothing would be imported`
+                : `Dry run: ${summary.created} exercises would be created and ${summary.updated} updated`,
+            dryRun: true,
+            format,
+            summary,
+            rows: report
         });
     }
 
-    // Validate difficulty
-    const validDifficulties = ['beginner', 'intermediate', 'advanced'];
-    if (!validDifficulties.includes(difficulty.toLowerCase())) {
-        return res.status(400).json({
-            error: 'Invalid difficulty parameter',
-            validOptions: validDifficulties
+    if (summary.invalid > 0) {
+        return sendError(res, 400, `Import has ${invalidRows}; nothing was imported`, {
+            summary,
+            rows: report.filter(item => item.action === 'invalid')
         });
     }
 
-    // Create new exercise
-    const newExercise = {
-        id: nextCustomId++,
-        name,
-        muscle: muscle.toLowerCase(),
-        difficulty: difficulty.toLowerCase(),
-        description: description || '',
-        equipment: equipment || 'none',
-        sets: req.body.sets || 3,
-        reps: req.body.reps || '10-12',
-        duration: req.body.duration || 30,
-        calories: req.body.calories || 25,
-        custom: true
-    };
+    // One store operation, so the import is saved in a single write or not at all
+    const creates = planned.filter(item => item.action === 'create');
+    const updates = planned.filter(item => item.action === 'update');
+    const saved = store.importCustomExercises(
+        req.user.id,
+        creates.map(item => ({ ...item.fields, custom: true, builtIn: false })),
+        updates.map(item => ({ id: item.duplicateOf.id, fields: item.fields }))
+    );
+    if (!saved) {
+        return sendError(res, 409, 'Your catalog changed during the import; nothing was imported. Please retry.');
+    }
+    creates.forEach((item, i) => {
+        report[planned.indexOf(item)].id = saved.created[i].id;
+    });
+    updates.forEach((item, i) => {
+        report[planned.indexOf(item)].id = saved.updated[i].id;
+    });
 
-    customExercises.push(newExercise);
+    res.status(summary.created + summary.updated > 0 ? 201 : 200).json({
+        message: `Imported ${summary.created} new and ${summary.updated} updated exercises`,
+        dryRun: false,
+        format,
+        summary,
+        rows: report
+    });
+});
+
+/**
+ * GET /exercises/export
+ * Your custom exercises in the formats POST /exercises/import reads
+ * Query: format: json | csv (or the Accept header; default: json)
+ */
+app.get('/exercises/export', (req, res) => {
+    const exercises = store.getCustomExercises(req.user.id);
+
+    sendFormatted(req, res, {
+        exportedAt: new Date().toISOString(),
+        total: exercises.length,
+        exercises: exercises.map(exerciseRecord)
+    }, {
+        csv: () => exercisesToCsv(exercises)
+    }, 'exercises');
+});
+
+/**
+ * POST /users
+ * Create a user and issue their personal API key
+ * Body: { name, email, bodyWeight, bodyWeightUnit, plan }
+ * bodyWeight (kg unless bodyWeightUnit is lb) personalises calorie estimates
+ * plan is the usage plan of the key (default: free); only the master key or
+ * the admin key may choose one, self-service signups always get the default
+ * When API_KEY is set, only the master key may create users
+ */
+app.post('/users', (req, res) => {
+    const { name, email, bodyWeight, plan } = req.body;
+
+    if (process.env.API_KEY && !req.isMasterKey) {
+        return sendError(res, 403, 'Creating users requires the master API key.');
+    }
+    if (plan !== undefined && !req.isMasterKey && !hasAdminKey(req)) {
+        return sendError(res, 403, 'Only the operator can choose a plan. Leave plan out to get the free plan.');
+    }
+
+    const apiKey = generateApiKey();
+    const user = store.addUser({
+        name: name.trim(),
+        email: email || null,
+        bodyWeightKg: typeof bodyWeight === 'number' ? getBodyWeight(req, req.body).bodyWeightKg : null,
+        apiKeyHash: hashApiKey(apiKey),
+        plan: plan ? plan.toLowerCase() : DEFAULT_PLAN,
+        createdAt: new Date().toISOString()
+    });
 
     res.status(201).json({
-        message: 'Exercise created successfully',
-        exercise: newExercise
+        message: 'User created successfully. Store the API key now; it cannot be shown again.',
+        user: toProfile(user),
+        apiKey
+    });
+});
+
+/**
+ * GET /users/me
+ * Get the calling user's profile and data counts
+ */
+app.get('/users/me', (req, res) => {
+    const userId = req.user.id;
+
+    res.json({
+        user: toProfile(req.user),
+        plan: usageOf(req).plan,
+        favorites: store.getFavorites(userId).length,
+        customExercises: store.getCustomExercises(userId).length,
+        totalWorkouts: store.getHistory(userId).length
+    });
+});
+
+/**
+ * PATCH /users/me
+ * Update the calling user's profile
+ * Body: any of { name, email, bodyWeight, bodyWeightUnit }; bodyWeight null clears it
+ */
+app.patch('/users/me', (req, res) => {
+    const { name, email, bodyWeight } = req.body;
+
+    if (req.user.guest) {
+        return sendError(res, 403, 'The shared guest profile cannot be changed. Create a user with POST /users.');
+    }
+
+    const fields = {};
+    if (name !== undefined) fields.name = name.trim();
+    if (email !== undefined) fields.email = email || null;
+    if (bodyWeight !== undefined) {
+        fields.bodyWeightKg = bodyWeight === null ? null : getBodyWeight(req, req.body).bodyWeightKg;
+    }
+
+    const updated = store.updateUser(req.user.id, fields);
+    res.json({
+        message: 'Profile updated',
+        user: toProfile(updated)
+    });
+});
+
+/**
+ * GET /usage
+ * The caller's plan and its usage: the current 15-minute window, today and
+ * this month, plus requests per day over the last 30 days. Not metered itself.
+ */
+app.get('/usage', (req, res, next) => {
+    const { key, plan, limits } = usageOf(req);
+
+    limiter.getKey(key).then(hits => {
+        const now = new Date();
+        const current = hits && hits.resetTime > now;
+        // Rejected requests count as hits too, so cap at the limit
+        const used = current ? Math.min(hits.totalHits, limits.requestsPerWindow ?? Infinity) : 0;
+        res.json({
+            plan,
+            limits: { windowMinutes: WINDOW_MS / 60000, ...limits },
+            window: quotaStatus(
+                used,
+                limits.requestsPerWindow,
+                current ? hits.resetTime : new Date(now.getTime() + WINDOW_MS)
+            ),
+            ...usageTracker.report(key, limits, now)
+        });
+    }).catch(next);
+});
+
+/**
+ * PUT /users/:id/plan
+ * Move a user's API key to another usage plan (admin endpoint, needs X-Admin-Key)
+ * Body: { plan }
+ */
+app.put('/users/:id/plan', (req, res) => {
+    const user = store.getUser(parseInt(req.params.id));
+
+    if (!user) {
+        return sendError(res, 404, 'User not found');
+    }
+
+    const plan = req.body.plan.toLowerCase();
+    const updated = store.updateUser(user.id, { plan });
+    res.json({
+        message: `Plan changed to ${plan}`,
+        user: toProfile(updated),
+        limits: usagePlans[plan]
+    });
+});
+
+/**
+ * GET /stats
+ * Returns API usage statistics (admin endpoint, needs X-Admin-Key)
+ */
+app.get('/stats', (req, res) => {
+    const uptime = Math.floor((Date.now() - new Date(apiStats.startTime).getTime()) / 1000);
+
+    // Get top 5 endpoints
+    const topEndpoints = Object.entries(apiStats.endpointHits)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([endpoint, hits]) => ({ endpoint, hits }));
+
+    // Get top 5 popular exercises
+    const topExercises = Object.entries(apiStats.popularExercises)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([id, views]) => {
+            const exercise = getAllExercises().find(ex => ex.id === parseInt(id));
+            return { name: exercise?.name || 'Unknown', views };
+        });
+
+    res.json({
+        totalRequests: apiStats.totalRequests,
+        uptime: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m ${uptime % 60}s`,
+        startTime: apiStats.startTime,
+        topEndpoints,
+        topExercises,
+        totalExercises: getAllExercises().length,
+        customExercises: store.getCustomExercises().length,
+        totalFavorites: store.getFavorites().length,
+        totalUsers: store.getUsers().length
+    });
+});
+
+/**
+ * GET /exercise/:id
+ * Get single exercise by ID with categories
+ */
+app.get('/exercise/:id', (req, res) => {
+    const id = parseInt(req.params.id);
+    const exercise = getAllExercises(req.user.id).find(ex => ex.id === id);
+
+    if (!exercise) {
+        return sendError(res, 404, 'Exercise not found');
+    }
+
+    // Track popularity
+    apiStats.popularExercises[id] = (apiStats.popularExercises[id] || 0) + 1;
+
+    res.json({
+        ...exercise,
+        categories: categoriesOf(exercise),
+        isFavorite: store.hasFavorite(req.user.id, id)
+    });
+});
+
+/**
+ * GET /exercise/:id/progress
+ * Records and per-session time series for one exercise from the caller's history
+ * Query params:
+ *   - unit: kg | lb (default: kg)
+ */
+app.get('/exercise/:id/progress', (req, res) => {
+    const id = parseInt(req.params.id);
+    const { unit = 'kg' } = req.query;
+
+    const exercise = getAllExercises(req.user.id).find(ex => ex.id === id);
+    if (!exercise) {
+        return sendError(res, 404, 'Exercise not found');
+    }
+
+    const sessions = collectSessions(store.getHistory(req.user.id), id);
+
+    res.json({
+        exercise: { id: exercise.id, name: exercise.name, muscle: exercise.muscle },
+        unit,
+        sessions: sessions.length,
+        records: withUnit(computeRecords(sessions), unit),
+        series: withUnit(computeSeries(sessions), unit)
     });
 });
 
 /**
- * DELETE /exercises/:id
- * Delete a custom exercise by ID
+ * Validate the substitution constraints shared by alternatives and swaps
+ * params: { equipment, maxDifficulty }
+ * Returns { error: { status, body } } or { gear, maxDifficulty, filter }
+ */
+function resolveSwapConstraints(params) {
+    const { equipment, maxDifficulty } = params;
+
+    const gear = equipment ? parseAvailableEquipment(equipment) : null;
+    if (gear && gear.unknown.length > 0) {
+        return {
+            error: apiError(400, 'Invalid equipment parameter', { invalid: gear.unknown, validOptions: equipmentOptions })
+        };
+    }
+
+    const maxLevel = maxDifficulty && maxDifficulty.toLowerCase();
+    return {
+        gear,
+        maxDifficulty: maxLevel || null,
+        filter: ex =>
+            (!gear || hasRequiredEquipment(ex, gear.available)) &&
+            (!maxLevel || withinDifficulty(ex.difficulty, maxLevel))
+    };
+}
+
+/**
+ * GET /exercise/:id/alternatives
+ * Substitutes for an exercise, ranked by how closely they match its muscle,
+ * movement pattern, mechanic, force and difficulty
+ * Query params:
+ *   - equipment: comma list of available gear, or "none" for bodyweight only (optional)
+ *   - maxDifficulty: beginner | intermediate | advanced (optional)
+ *   - limit: number of alternatives (default: 5, max: 20)
  */
-app.delete('/exercises/:id', (req, res) => {
+app.get('/exercise/:id/alternatives', (req, res) => {
     const id = parseInt(req.params.id);
+    const { limit = 5 } = req.query;
 
-    // Check if it's a built-in exercise
-    if (id < 1000) {
-        return res.status(403).json({
-            error: 'Cannot delete built-in exercises'
-        });
+    const constraints = resolveSwapConstraints(req.query);
+    if (constraints.error) {
+        return res.status(constraints.error.status).json(constraints.error.body);
     }
 
-    const index = customExercises.findIndex(ex => ex.id === id);
-
-    if (index === -1) {
-        return res.status(404).json({
-            error: 'Custom exercise not found'
-        });
+    const allExercises = getAllExercises(req.user.id);
+    const exercise = allExercises.find(ex => ex.id === id);
+    if (!exercise) {
+        return sendError(res, 404, 'Exercise not found');
     }
 
-    const deleted = customExercises.splice(index, 1)[0];
+    const limitNum = Math.min(20, Math.max(1, parseInt(limit) || 5));
+    const alternatives = rankAlternatives(exercise, allExercises, { filter: constraints.filter });
+
     res.json({
-        message: 'Exercise deleted successfully',
-        exercise: deleted
+        exercise: { id: exercise.id, name: exercise.name, muscle: exercise.muscle, tags: tagsOf(exercise) },
+        alternatives: alternatives.slice(0, limitNum),
+        totalMatches: alternatives.length,
+        filters: {
+            equipment: constraints.gear ? [...constraints.gear.available] : 'all',
+            maxDifficulty: constraints.maxDifficulty || 'any'
+        }
     });
 });
 
 /**
- * GET /stats
- * Returns API usage statistics
+ * GET /records
+ * Personal records for every exercise in the caller's history
+ * Query params:
+ *   - unit: kg | lb (default: kg)
  */
-app.get('/stats', (req, res) => {
-    const uptime = Math.floor((Date.now() - new Date(apiStats.startTime).getTime()) / 1000);
-
-    // Get top 5 endpoints
-    const topEndpoints = Object.entries(apiStats.endpointHits)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 5)
-        .map(([endpoint, hits]) => ({ endpoint, hits }));
+app.get('/records', (req, res) => {
+    const { unit = 'kg' } = req.query;
+
+    const history = store.getHistory(req.user.id);
+    const loggedIds = [...new Set(history
+        .filter(entry => Array.isArray(entry.exercises))
+        .flatMap(entry => entry.exercises.map(logged => logged && logged.id)))];
+
+    const records = getAllExercises(req.user.id)
+        .filter(ex => loggedIds.includes(ex.id))
+        .map(ex => {
+            const sessions = collectSessions(history, ex.id);
+            return {
+                exercise: { id: ex.id, name: ex.name, muscle: ex.muscle },
+                sessions: sessions.length,
+                records: withUnit(computeRecords(sessions), unit)
+            };
+        })
+        .filter(item => item.sessions > 0);
+
+    res.json({ records, count: records.length, unit });
+});
 
-    // Get top 5 popular exercises
-    const topExercises = Object.entries(apiStats.popularExercises)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 5)
-        .map(([id, views]) => {
-            const exercise = getAllExercises().find(ex => ex.id === parseInt(id));
-            return { name: exercise?.name || 'Unknown', views };
-        });
+/**
+ * GET /recovery
+ * Readiness of every muscle group from your logged sessions
+ * Readiness falls with the sets logged (weighted by RPE or load) and recovers
+ * over time; muscles at 80% or more are ready
+ */
+app.get('/recovery', (req, res) => {
+    const muscles = assessRecovery(store.getHistory(req.user.id), validMuscles);
 
     res.json({
-        totalRequests: apiStats.totalRequests,
-        uptime: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m ${uptime % 60}s`,
-        startTime: apiStats.startTime,
-        topEndpoints,
-        topExercises,
-        totalExercises: getAllExercises().length,
-        customExercises: customExercises.length,
-        totalFavorites: favorites.size
+        muscles,
+        ready: Object.keys(muscles).filter(muscle => muscles[muscle].status === 'ready'),
+        recoveryHours
     });
 });
 
+// Default and longest GET /analytics range in days
+const ANALYTICS_DEFAULT_DAYS = 12 * 7;
+const ANALYTICS_MAX_DAYS = 2 * 366;
+
 /**
- * GET /exercise/:id
- * Get single exercise by ID with categories
+ * Validate the analytics date range
+ * params: { from, to: YYYY-MM-DD } (default: the 12 weeks up to today)
+ * Returns { error: { status, body } } or { from, to }
  */
-app.get('/exercise/:id', (req, res) => {
-    const id = parseInt(req.params.id);
-    const exercise = getAllExercises().find(ex => ex.id === id);
+function resolveDateRange(params) {
+    const to = params.to === undefined ? parseStartDate(new Date().toISOString().slice(0, 10)) : parseStartDate(params.to);
+    if (!to) {
+        return { error: apiError(400, 'Invalid to parameter', { expected: 'YYYY-MM-DD' }) };
+    }
 
-    if (!exercise) {
-        return res.status(404).json({ error: 'Exercise not found' });
+    const dayMs = 24 * 60 * 60 * 1000;
+    const from = params.from === undefined
+        ? new Date(to.getTime() - (ANALYTICS_DEFAULT_DAYS - 1) * dayMs)
+        : parseStartDate(params.from);
+    if (!from) {
+        return { error: apiError(400, 'Invalid from parameter', { expected: 'YYYY-MM-DD' }) };
+    }
+    if (from > to) {
+        return { error: apiError(400, 'from must not be after to') };
     }
+    if ((to - from) / dayMs + 1 > ANALYTICS_MAX_DAYS) {
+        return { error: apiError(400, `Date range is longer than ${ANALYTICS_MAX_DAYS} days`) };
+    }
+    return { from, to };
+}
 
-    // Track popularity
-    apiStats.popularExercises[id] = (apiStats.popularExercises[id] || 0) + 1;
+/**
+ * GET /analytics
+ * Training summary from the caller's history
+ * Query params:
+ *   - from, to: YYYY-MM-DD, inclusive (default: the 12 weeks up to today)
+ *   - unit: kg | lb for volume (default: kg)
+ * Returns totals (workouts, sets, reps, volume, minutes, calories), frequency,
+ * day and week streaks, sets and volume per muscle group overall and per week,
+ * and the push/pull balance
+ */
+app.get('/analytics', (req, res) => {
+    const { unit = 'kg' } = req.query;
 
-    res.json({
-        ...exercise,
-        categories: getExerciseCategory(id),
-        isFavorite: favorites.has(id)
-    });
+    const range = resolveDateRange(req.query);
+    if (range.error) {
+        return res.status(range.error.status).json(range.error.body);
+    }
+
+    res.json(analyzeHistory(store.getHistory(req.user.id), {
+        from: range.from,
+        to: range.to,
+        catalog: getAllExercises(req.user.id),
+        muscles: validMuscles,
+        unit
+    }));
 });
 
 /**
@@ -591,10 +1722,9 @@ app.get('/exercise/:id', (req, res) => {
  * List all muscle groups with exercise counts
  */
 app.get('/muscles', (req, res) => {
-    const muscles = ['chest', 'back', 'legs', 'shoulders', 'arms', 'core'];
-    const allExercises = getAllExercises();
+    const allExercises = getAllExercises(req.user.id);
 
-    const muscleData = muscles.map(muscle => {
+    const muscleData = validMuscles.map(muscle => {
         const exercises = allExercises.filter(ex => ex.muscle === muscle);
         return {
             muscle,
@@ -613,41 +1743,108 @@ app.get('/muscles', (req, res) => {
     });
 });
 
+/**
+ * GET /equipment
+ * List the canonical equipment vocabulary with exercise counts
+ * Use these IDs in the ?equipment= filter of the generators
+ */
+app.get('/equipment', (req, res) => {
+    const allExercises = getAllExercises(req.user.id);
+    const required = allExercises.map(ex => normalizeEquipment(ex.equipment));
+
+    const equipmentList = equipmentCatalog.map(item => ({
+        id: item.id,
+        name: item.name,
+        category: item.category,
+        aliases: item.aliases,
+        ...(item.provides && { provides: item.provides }),
+        exerciseCount: required.filter(ids => ids.includes(item.id)).length
+    }));
+
+    res.json({
+        equipment: equipmentList,
+        bodyweightExercises: required.filter(ids => ids.length === 0).length,
+        totalEquipment: equipmentList.length
+    });
+});
+
+/**
+ * GET /tags
+ * List the classification tags with exercise counts
+ * Use these values in the pattern/mechanic/force filters and in POST /exercises
+ */
+app.get('/tags', (req, res) => {
+    const allTags = getAllExercises(req.user.id).map(tagsOf);
+    const countBy = (key, value) => allTags.filter(tags => tags[key] === value).length;
+
+    const tags = {};
+    Object.entries(tagVocabulary).forEach(([key, options]) => {
+        tags[key] = options.map(value => ({ value, exerciseCount: countBy(key, value) }));
+    });
+    flagTags.forEach(key => {
+        tags[key] = [true, false].map(value => ({ value, exerciseCount: countBy(key, value) }));
+    });
+
+    res.json({
+        tags,
+        untagged: allTags.filter(t => !t.pattern && !t.mechanic && !t.force).length
+    });
+});
+
 /**
  * GET /superset
  * Generate superset pairs (antagonist muscle groups)
  * Query params:
  *   - type: push-pull | upper-lower | same-muscle (default: push-pull)
  *   - sets: number of superset pairs (default: 3)
+ *   - equipment: comma list of available gear, or "none" for bodyweight only (optional)
+ *   - seed: makes the pairs reproducible (optional)
+ *   - format: json | markdown | html (default: json, or from the Accept header)
+ * push-pull pairs exercises tagged force=push with force=pull ones for the
+ * same body region (upper, lower or core)
  */
 app.get('/superset', (req, res) => {
-    const { type = 'push-pull', sets = 3 } = req.query;
+    const { type = 'push-pull', sets = 3, equipment } = req.query;
+    const rng = getRandom(req);
+
+    // Validate available equipment if provided
+    const gear = equipment ? parseAvailableEquipment(equipment) : null;
+    if (gear && gear.unknown.length > 0) {
+        return sendError(res, 400, 'Invalid equipment parameter', {
+            invalid: gear.unknown,
+            validOptions: equipmentOptions
+        });
+    }
 
-    const allExercises = getAllExercises();
+    const allExercises = getAllExercises(req.user.id).filter(
+        ex => !gear || hasRequiredEquipment(ex, gear.available)
+    );
     const setCount = Math.min(5, Math.max(1, parseInt(sets) || 3));
 
     let supersets = [];
 
     if (type === 'push-pull') {
-        const pushExercises = allExercises.filter(ex => exerciseCategories.push.includes(ex.id));
-        const pullExercises = allExercises.filter(ex => exerciseCategories.pull.includes(ex.id));
-
-        const shuffledPush = shuffleArray(pushExercises);
-        const shuffledPull = shuffleArray(pullExercises);
-
-        for (let i = 0; i < setCount && i < shuffledPush.length && i < shuffledPull.length; i++) {
+        const regionOf = ex => ex.muscle === 'legs' ? 'lower' : ex.muscle === 'core' ? 'core' : 'upper';
+        const shuffledPush = rng.shuffle(allExercises.filter(ex => tagsOf(ex).force === 'push'));
+        const pullPool = rng.shuffle(allExercises.filter(ex => tagsOf(ex).force === 'pull'));
+
+        for (const push of shuffledPush) {
+            if (supersets.length >= setCount) break;
+            const index = pullPool.findIndex(pull => regionOf(pull) === regionOf(push));
+            if (index === -1) continue;
+            const [pull] = pullPool.splice(index, 1);
             supersets.push({
-                setNumber: i + 1,
-                exercise1: { ...shuffledPush[i], type: 'push' },
-                exercise2: { ...shuffledPull[i], type: 'pull' }
+                setNumber: supersets.length + 1,
+                exercise1: { ...push, type: 'push' },
+                exercise2: { ...pull, type: 'pull' }
             });
         }
     } else if (type === 'upper-lower') {
         const upperMuscles = ['chest', 'back', 'shoulders', 'arms'];
         const lowerMuscles = ['legs', 'core'];
 
-        const upperExercises = shuffleArray(allExercises.filter(ex => upperMuscles.includes(ex.muscle)));
-        const lowerExercises = shuffleArray(allExercises.filter(ex => lowerMuscles.includes(ex.muscle)));
+        const upperExercises = rng.shuffle(allExercises.filter(ex => upperMuscles.includes(ex.muscle)));
+        const lowerExercises = rng.shuffle(allExercises.filter(ex => lowerMuscles.includes(ex.muscle)));
 
         for (let i = 0; i < setCount && i < upperExercises.length && i < lowerExercises.length; i++) {
             supersets.push({
@@ -657,9 +1854,8 @@ app.get('/superset', (req, res) => {
             });
         }
     } else if (type === 'same-muscle') {
-        const muscles = ['chest', 'back', 'legs', 'shoulders', 'arms', 'core'];
-        const randomMuscle = muscles[Math.floor(Math.random() * muscles.length)];
-        const muscleExercises = shuffleArray(allExercises.filter(ex => ex.muscle === randomMuscle));
+        const randomMuscle = rng.pick(validMuscles);
+        const muscleExercises = rng.shuffle(allExercises.filter(ex => ex.muscle === randomMuscle));
 
         for (let i = 0; i < setCount * 2 && i + 1 < muscleExercises.length; i += 2) {
             supersets.push({
@@ -671,76 +1867,279 @@ app.get('/superset', (req, res) => {
         }
     }
 
-    res.json({
+    sendFormatted(req, res, {
         type,
         supersets,
         totalSets: supersets.length,
-        restBetweenSupersets: '60-90 seconds'
+        restBetweenSupersets: '60-90 seconds',
+        equipment: gear ? [...gear.available] : 'all',
+        seed: rng.seed
+    }, {
+        markdown: body => renderMarkdown(supersetSheet(body)),
+        html: body => renderHtml(supersetSheet(body))
+    });
+});
+
+/**
+ * POST /swap
+ * Replace one exercise of a generated workout or plan with its best alternative,
+ * leaving everything else as it was
+ * Body: {
+ *   workout: exercises from /generate-workout (objects or IDs), or
+ *   plan: days from /workout-plan plus day: the day name to change,
+ *   exerciseId, equipment, maxDifficulty, exclude: IDs not to swap in
+ * }
+ */
+app.post('/swap', (req, res) => {
+    const { workout, plan, day, exerciseId, exclude = [] } = req.body;
+
+    if (Array.isArray(workout) === Array.isArray(plan)) {
+        return sendError(res, 400, 'Send either workout (array) or plan (array of days)');
+    }
+
+    const constraints = resolveSwapConstraints(req.body);
+    if (constraints.error) {
+        return res.status(constraints.error.status).json(constraints.error.body);
+    }
+
+    // The list of exercises the swap happens in: the workout, or one day of the plan
+    let items = workout;
+    let planDay = null;
+    if (plan) {
+        planDay = plan.find(d => d && typeof d.day === 'string' && typeof day === 'string' &&
+            d.day.toLowerCase() === day.toLowerCase());
+        if (!planDay || !Array.isArray(planDay.exercises)) {
+            return sendError(res, 400, 'Invalid day: must name a day of the plan', {
+                validOptions: plan.filter(d => d && Array.isArray(d.exercises) && d.exercises.length > 0).map(d => d.day)
+            });
+        }
+        items = planDay.exercises;
+    }
+
+    const idOf = item => (item && typeof item === 'object' ? item.id : item);
+    const index = items.findIndex(item => idOf(item) === exerciseId);
+    if (index === -1) {
+        return sendError(res, 404, `Exercise ${exerciseId} is not in the ${plan ? 'day' : 'workout'}`);
+    }
+
+    const allExercises = getAllExercises(req.user.id);
+    const exercise = allExercises.find(ex => ex.id === exerciseId);
+    if (!exercise) {
+        return sendError(res, 404, 'Exercise not found');
+    }
+
+    // Never swap in something already in this workout or day
+    const alternatives = rankAlternatives(exercise, allExercises, {
+        exclude: [...items.map(idOf), ...exclude],
+        filter: constraints.filter
+    });
+    if (alternatives.length === 0) {
+        return sendError(res, 404, 'No alternative found for this exercise with the given constraints');
+    }
+
+    const [best] = alternatives;
+    const { similarity, reasons, ...replacement } = best;
+    const swappedItems = items.map((item, i) => {
+        if (i !== index) return item;
+        return typeof item === 'object' ? { ...replacement, swappedFrom: { id: exercise.id, name: exercise.name } } : replacement.id;
+    });
+
+    res.json({
+        ...(plan
+            ? { plan: plan.map(d => (d === planDay ? { ...d, exercises: swappedItems } : d)) }
+            : { workout: swappedItems }),
+        swapped: {
+            ...(plan && { day: planDay.day }),
+            from: { id: exercise.id, name: exercise.name },
+            to: { id: best.id, name: best.name, similarity, reasons }
+        },
+        otherOptions: alternatives.slice(1, 4).map(ex => ({ id: ex.id, name: ex.name, similarity: ex.similarity }))
     });
 });
 
 /**
  * GET /hiit
- * Generate HIIT workout with intervals
+ * Generate a HIIT workout from exercises tagged hiit (built-in and custom)
  * Query params:
- *   - rounds: number of rounds (default: 4)
- *   - work: work interval in seconds (default: 40)
- *   - rest: rest interval in seconds (default: 20)
+ *   - type: intervals, tabata, emom, amrap or circuit (default: intervals)
+ *   - rounds, work, rest, count, minutes, roundRest: format options, see hiitFormats
+ *   - equipment: comma-separated list of available equipment (optional)
+ *   - bodyWeight, bodyWeightUnit: for the calorie estimate (default: your profile, else 70 kg)
+ *   - seed: makes the exercise order reproducible (optional)
+ * The timeline lists every work/rest segment with its start and end second;
+ * work burns the exercise's MET, rest REST_MET
  */
 app.get('/hiit', (req, res) => {
-    const { rounds = 4, work = 40, rest = 20 } = req.query;
-
-    const roundCount = Math.min(10, Math.max(1, parseInt(rounds) || 4));
-    const workTime = Math.min(120, Math.max(10, parseInt(work) || 40));
-    const restTime = Math.min(120, Math.max(5, parseInt(rest) || 20));
-
-    // HIIT-friendly exercises (bodyweight, explosive)
-    const hiitExercises = [
-        { name: 'Burpees', calories: 15 },
-        { name: 'Mountain Climbers', calories: 12 },
-        { name: 'Jump Squats', calories: 14 },
-        { name: 'High Knees', calories: 11 },
-        { name: 'Box Jumps', calories: 15 },
-        { name: 'Plank Jacks', calories: 10 },
-        { name: 'Jumping Lunges', calories: 14 },
-        { name: 'Tuck Jumps', calories: 16 },
-        { name: 'Speed Skaters', calories: 12 },
-        { name: 'Bicycle Crunches', calories: 8 }
-    ];
-
-    const shuffled = shuffleArray(hiitExercises);
-    const selectedExercises = shuffled.slice(0, roundCount);
-
-    const workout = selectedExercises.map((ex, i) => ({
-        round: i + 1,
-        exercise: ex.name,
-        workSeconds: workTime,
-        restSeconds: restTime,
-        estimatedCalories: Math.round(ex.calories * (workTime / 40))
-    }));
+    const { type = 'intervals', equipment } = req.query;
+    const rng = getRandom(req);
+
+    // Validate available equipment if provided
+    const gear = equipment ? parseAvailableEquipment(equipment) : null;
+    if (gear && gear.unknown.length > 0) {
+        return sendError(res, 400, 'Invalid equipment parameter', {
+            invalid: gear.unknown,
+            validOptions: equipmentOptions
+        });
+    }
+
+    const pool = getAllExercises(req.user.id).filter(ex =>
+        tagsOf(ex).hiit &&
+        (!gear || hasRequiredEquipment(ex, gear.available))
+    );
+    if (pool.length === 0) {
+        return sendError(res, 404, 'No HIIT exercises match the given equipment');
+    }
 
-    const totalTime = roundCount * (workTime + restTime);
-    const totalCalories = workout.reduce((sum, r) => sum + r.estimatedCalories, 0);
+    const bodyWeight = getBodyWeight(req);
+    const workout = buildHiit({
+        type,
+        exercises: rng.shuffle(pool),
+        options: resolveHiitOptions(type, req.query),
+        bodyWeightKg: bodyWeight.bodyWeightKg
+    });
 
     res.json({
-        workout,
-        summary: {
-            rounds: roundCount,
-            workInterval: `${workTime}s`,
-            restInterval: `${restTime}s`,
-            totalTime: `${Math.floor(totalTime / 60)}:${String(totalTime % 60).padStart(2, '0')}`,
-            estimatedCalories: totalCalories
-        }
+        type,
+        ...workout,
+        calorieEstimate: describeEstimate(bodyWeight),
+        seed: rng.seed
+    });
+});
+
+/**
+ * GET /live-sessions
+ * Your live sessions (ended ones are kept for 10 minutes)
+ */
+app.get('/live-sessions', (req, res) => {
+    const sessions = liveSessions.list(req.user.id).map(session => session.snapshot());
+    res.json({ sessions, count: sessions.length });
+});
+
+/**
+ * POST /live-sessions
+ * Start a guided session from a generated workout
+ * Body: {
+ *   source: hiit | superset | warm-up | stretches,
+ *   workout: the generator's JSON response,
+ *   bodyWeight, bodyWeightUnit: for the calorie estimate (default: your profile, else 70 kg)
+ * }
+ * The session is created ready: subscribe to its events, then send the start action
+ * Each user may have MAX_ACTIVE_SESSIONS sessions that have not ended
+ */
+app.post('/live-sessions', (req, res) => {
+    const active = liveSessions.list(req.user.id).filter(session => !session.isOver());
+    if (active.length >= MAX_ACTIVE_SESSIONS) {
+        return sendError(res, 409, `You already have ${MAX_ACTIVE_SESSIONS} live sessions; stop one before starting another`, {
+            sessions: active.map(session => session.id)
+        });
+    }
+
+    const source = req.body.source.toLowerCase();
+    const { errors, segments } = buildLiveTimeline(source, req.body.workout, {
+        catalog: getAllExercises(req.user.id),
+        warmups: data.warmups || [],
+        stretches: data.stretches || []
+    });
+
+    if (errors.length > 0) {
+        return sendError(res, 400, 'Invalid workout', { errors });
+    }
+
+    const session = liveSessions.create({
+        userId: req.user.id,
+        source,
+        segments,
+        bodyWeight: getBodyWeight(req, req.body)
+    });
+
+    res.status(201).json({
+        message: 'Live session created',
+        session: session.snapshot({ timeline: true }),
+        events: `/live-sessions/${session.id}/events`
+    });
+});
+
+/**
+ * Find one of the caller's live sessions
+ * Returns { error: { status, body } } or { session }
+ */
+function resolveLiveSession(req) {
+    const session = liveSessions.get(req.user.id, req.params.id);
+    if (!session) {
+        return { error: apiError(404, 'Live session not found') };
+    }
+    return { session };
+}
+
+/**
+ * GET /live-sessions/:id
+ * Current state, progress and timeline of a live session
+ */
+app.get('/live-sessions/:id', (req, res) => {
+    const live = resolveLiveSession(req);
+    if (live.error) {
+        return res.status(live.error.status).json(live.error.body);
+    }
+    res.json({ session: live.session.snapshot({ timeline: true }) });
+});
+
+/**
+ * GET /live-sessions/:id/events
+ * Server-Sent Events stream: state on connect, then the cues start, rest,
+ * next, halfway, tick, paused, resumed, skipped and finally done or stopped
+ * (after save-failed when a finished session could not be saved)
+ */
+app.get('/live-sessions/:id/events', (req, res) => {
+    const live = resolveLiveSession(req);
+    if (live.error) {
+        return res.status(live.error.status).json(live.error.body);
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(':\n\n'), HEARTBEAT_MS);
+    const unsubscribe = live.session.subscribe({
+        send: (event, payload, id) => res.write(formatEvent(event, payload, id)),
+        close: () => res.end()
+    });
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
     });
 });
 
+/**
+ * POST /live-sessions/:id/control
+ * Control a live session
+ * Body: { action: start | pause | resume | skip (the current segment) | stop }
+ * A session that reaches the end is saved to history; a stopped one is not
+ */
+app.post('/live-sessions/:id/control', (req, res) => {
+    const live = resolveLiveSession(req);
+    if (live.error) {
+        return res.status(live.error.status).json(live.error.body);
+    }
+
+    const message = live.session.control(String(req.body.action).toLowerCase());
+    if (message) {
+        return sendError(res, 409, message);
+    }
+
+    res.json({ session: live.session.snapshot() });
+});
+
 /**
  * GET /favorites
  * List all favorite exercises
  */
 app.get('/favorites', (req, res) => {
-    const allExercises = getAllExercises();
-    const favoriteExercises = allExercises.filter(ex => favorites.has(ex.id));
+    const allExercises = getAllExercises(req.user.id);
+    const favoriteExercises = allExercises.filter(ex => store.hasFavorite(req.user.id, ex.id));
 
     res.json({
         favorites: favoriteExercises,
@@ -754,17 +2153,16 @@ app.get('/favorites', (req, res) => {
  */
 app.post('/favorites/:id', (req, res) => {
     const id = parseInt(req.params.id);
-    const exercise = getAllExercises().find(ex => ex.id === id);
+    const exercise = getAllExercises(req.user.id).find(ex => ex.id === id);
 
     if (!exercise) {
-        return res.status(404).json({ error: 'Exercise not found' });
+        return sendError(res, 404, 'Exercise not found');
     }
 
-    if (favorites.has(id)) {
-        return res.status(400).json({ error: 'Exercise already in favorites' });
+    if (!store.addFavorite(req.user.id, id)) {
+        return sendError(res, 400, 'Exercise already in favorites');
     }
 
-    favorites.add(id);
     res.status(201).json({
         message: 'Added to favorites',
         exercise
@@ -778,62 +2176,186 @@ app.post('/favorites/:id', (req, res) => {
 app.delete('/favorites/:id', (req, res) => {
     const id = parseInt(req.params.id);
 
-    if (!favorites.has(id)) {
-        return res.status(404).json({ error: 'Exercise not in favorites' });
+    if (!store.removeFavorite(req.user.id, id)) {
+        return sendError(res, 404, 'Exercise not in favorites');
     }
 
-    favorites.delete(id);
     res.json({ message: 'Removed from favorites', exerciseId: id });
 });
 
 /**
  * GET /history
  * Get workout history
+ * Query params:
+ *   - limit: number of most recent workouts (default: 10, max: 50)
+ *   - format: json | csv (default: json, or from the Accept header)
  */
 app.get('/history', (req, res) => {
-    const { limit = 10 } = req.query;
+    const { limit } = req.query;
     const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 10));
+    const workoutHistory = store.getHistory(req.user.id);
 
-    res.json({
+    sendFormatted(req, res, {
         history: workoutHistory.slice(-limitNum).reverse(),
         totalWorkouts: workoutHistory.length
-    });
+    }, {
+        // The CSV export covers all history unless a limit is given
+        csv: () => historyToCsv(limit === undefined ? workoutHistory : workoutHistory.slice(-limitNum))
+    }, 'history');
+});
+
+/**
+ * Validate the editable fields of a history entry
+ * Used by POST (all fields) and PATCH (only the fields present, with the
+ * stored entry as `existing`). Calories are recomputed whenever the exercises
+ * or the body weight change. Returns { errors, fields }
+ */
+function validateHistoryFields(req, partial, existing) {
+    const { exercises, workoutType, duration, notes, performedAt, bodyWeight } = req.body;
+    const errors = [];
+    const fields = {};
+    const catalog = getAllExercises(req.user.id);
+
+    // A PATCH without a new body weight keeps the one the entry was logged with
+    const weight = bodyWeight === undefined && existing && existing.calorieEstimate
+        ? { bodyWeightKg: existing.calorieEstimate.bodyWeightKg, source: existing.calorieEstimate.bodyWeightSource }
+        : getBodyWeight(req, req.body);
+
+    if (exercises !== undefined || !partial) {
+        const result = validateLoggedExercises(exercises, catalog);
+        errors.push(...result.errors);
+        if (result.errors.length === 0) {
+            fields.exercises = result.exercises;
+        }
+    }
+
+    if (fields.exercises || (existing && bodyWeight !== undefined)) {
+        Object.assign(fields, summarizeLoggedExercises(fields.exercises || existing.exercises, catalog, weight.bodyWeightKg));
+        fields.calorieEstimate = describeEstimate(weight);
+    }
+
+    if (workoutType !== undefined || !partial) {
+        if (workoutType !== undefined && typeof workoutType !== 'string') {
+            errors.push('workoutType must be a string');
+        }
+        fields.workoutType = workoutType || 'custom';
+    }
+
+    if (duration !== undefined || !partial) {
+        if (duration !== undefined && duration !== null && (typeof duration !== 'number' || duration < 0)) {
+            errors.push('duration must be a non-negative number of minutes');
+        }
+        fields.duration = duration || null;
+    }
+
+    if (notes !== undefined || !partial) {
+        if (notes !== undefined && typeof notes !== 'string') {
+            errors.push('notes must be a string');
+        }
+        fields.notes = notes || '';
+    }
+
+    if (performedAt !== undefined) {
+        const date = new Date(performedAt);
+        if (typeof performedAt !== 'string' || isNaN(date.getTime())) {
+            errors.push('performedAt must be an ISO 8601 date');
+        } else {
+            fields.timestamp = date.toISOString();
+        }
+    }
+
+    return { errors, fields };
+}
+
+/**
+ * GET /history/:id
+ * Get a single workout from history
+ */
+app.get('/history/:id', (req, res) => {
+    const entry = store.getHistoryEntry(req.user.id, parseInt(req.params.id));
+
+    if (!entry) {
+        return sendError(res, 404, 'Workout not found in history');
+    }
+
+    res.json({ workout: entry });
 });
 
 /**
  * POST /history
  * Save a workout to history
+ * Body: {
+ *   exercises: [{ id, sets: [{ reps, weight, unit, rpe, rest, duration, completed }], notes }],
+ *   workoutType, duration, notes, performedAt,
+ *   bodyWeight, bodyWeightUnit: for estimatedCalories (default: your profile, else 70 kg)
+ * }
+ * estimatedCalories uses each exercise's MET over the completed sets' duration and rest
  */
 app.post('/history', (req, res) => {
-    const { exercises, workoutType, duration, notes } = req.body;
+    const { errors, fields } = validateHistoryFields(req, false);
 
-    if (!exercises || !Array.isArray(exercises)) {
-        return res.status(400).json({
-            error: 'Missing required field: exercises (array)'
-        });
+    if (errors.length > 0) {
+        return sendError(res, 400, 'Invalid workout log', { errors });
     }
 
-    const historyEntry = {
-        id: workoutHistory.length + 1,
-        timestamp: new Date().toISOString(),
-        workoutType: workoutType || 'custom',
-        exercises: exercises,
-        exerciseCount: exercises.length,
-        duration: duration || null,
-        notes: notes || '',
-        estimatedCalories: exercises.reduce((sum, ex) => sum + (ex.calories || 0), 0)
-    };
+    // Snapshot before saving so new records are compared with earlier workouts only
+    const previousHistory = [...store.getHistory(req.user.id)];
 
-    // Keep last 100 workouts
-    workoutHistory.push(historyEntry);
-    if (workoutHistory.length > 100) {
-        workoutHistory.shift();
-    }
+    // Store allocates the ID and enforces the history cap
+    const historyEntry = store.addHistoryEntry(req.user.id, {
+        timestamp: new Date().toISOString(),
+        ...fields
+    });
 
     res.status(201).json({
         message: 'Workout saved to history',
-        workout: historyEntry
+        workout: historyEntry,
+        personalRecords: detectPersonalRecords(previousHistory, historyEntry)
+    });
+});
+
+/**
+ * PATCH /history/:id
+ * Edit a logged workout; only the fields sent are changed
+ * Body: any of { exercises, workoutType, duration, notes, performedAt, bodyWeight, bodyWeightUnit }
+ */
+app.patch('/history/:id', (req, res) => {
+    const id = parseInt(req.params.id);
+    const existing = store.getHistoryEntry(req.user.id, id);
+
+    if (!existing) {
+        return sendError(res, 404, 'Workout not found in history');
+    }
+
+    const { errors, fields } = validateHistoryFields(req, true, existing);
+
+    if (errors.length > 0) {
+        return sendError(res, 400, 'Invalid workout log', { errors });
+    }
+
+    const updated = store.updateHistoryEntry(req.user.id, id, {
+        ...fields,
+        updatedAt: new Date().toISOString()
     });
+
+    res.json({
+        message: 'Workout updated',
+        workout: updated
+    });
+});
+
+/**
+ * DELETE /history/:id
+ * Delete a single workout from history
+ */
+app.delete('/history/:id', (req, res) => {
+    const deleted = store.removeHistoryEntry(req.user.id, parseInt(req.params.id));
+
+    if (!deleted) {
+        return sendError(res, 404, 'Workout not found in history');
+    }
+
+    res.json({ message: 'Workout deleted', workout: deleted });
 });
 
 /**
@@ -841,34 +2363,62 @@ app.post('/history', (req, res) => {
  * Clear workout history
  */
 app.delete('/history', (req, res) => {
-    const count = workoutHistory.length;
-    workoutHistory = [];
+    const count = store.clearHistory(req.user.id);
     res.json({ message: 'History cleared', deletedCount: count });
 });
 
 /**
  * GET /logs
- * Get recent request logs (admin endpoint)
+ * Get recent request logs, newest first (admin endpoint, needs X-Admin-Key)
+ * Query params:
+ *   - path: a route and everything under it, e.g. /history (optional)
+ *   - method: GET | POST | PUT | PATCH | DELETE (optional)
+ *   - status: a code such as 404 or a class such as 4xx (optional)
+ *   - ip: client IP (optional)
+ *   - from, to: ISO 8601 time range (optional)
+ *   - limit: number of entries (default: 50, max: 100)
  */
 app.get('/logs', (req, res) => {
     const { limit = 50 } = req.query;
     const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 50));
 
+    const { errors, filters } = parseLogFilters(req.query);
+    if (errors.length > 0) {
+        const [first] = errors;
+        return sendError(res, 400, `Invalid ${first.parameter} parameter`, {
+            invalid: first.invalid,
+            expected: first.expected
+        });
+    }
+
+    const matching = requestLogs.filter(entry => matchesLogFilters(entry, filters));
+
     res.json({
-        logs: requestLogs.slice(-limitNum).reverse(),
+        logs: matching.slice(-limitNum).reverse(),
+        matchingLogs: matching.length,
         totalLogs: requestLogs.length
     });
 });
 
+/**
+ * GET /metrics
+ * Prometheus metrics (admin endpoint, needs X-Admin-Key or Authorization: Bearer)
+ */
+app.get('/metrics', (req, res) => {
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+});
+
 /**
  * GET /stretches
  * Get stretching/cooldown routine
  * Query params:
  *   - targetArea: legs | upper | arms | back | hips | core | all (default: all)
  *   - count: number of stretches (default: 5)
+ *   - seed: makes the routine reproducible (optional)
  */
 app.get('/stretches', (req, res) => {
     const { targetArea = 'all', count = 5 } = req.query;
+    const rng = getRandom(req);
 
     let stretches = data.stretches || [];
 
@@ -877,7 +2427,7 @@ app.get('/stretches', (req, res) => {
     }
 
     const stretchCount = Math.min(stretches.length, Math.max(1, parseInt(count) || 5));
-    const shuffled = shuffleArray(stretches);
+    const shuffled = rng.shuffle(stretches);
     const routine = shuffled.slice(0, stretchCount);
 
     const totalDuration = routine.reduce((sum, s) => sum + s.duration, 0);
@@ -886,7 +2436,8 @@ app.get('/stretches', (req, res) => {
         stretches: routine,
         count: routine.length,
         totalDuration: `${Math.floor(totalDuration / 60)}:${String(totalDuration % 60).padStart(2, '0')} min`,
-        targetArea: targetArea.toLowerCase()
+        targetArea: targetArea.toLowerCase(),
+        seed: rng.seed
     });
 });
 
@@ -915,10 +2466,13 @@ app.get('/nutrition', (req, res) => {
 /**
  * GET /cooldown
  * Generate complete cooldown routine (stretches + tips)
+ * Query params:
+ *   - seed: makes the routine reproducible (optional)
  */
 app.get('/cooldown', (req, res) => {
-    const stretches = shuffleArray(data.stretches || []).slice(0, 5);
-    const tips = shuffleArray(data.nutritionTips || []).slice(0, 2);
+    const rng = getRandom(req);
+    const stretches = rng.shuffle(data.stretches || []).slice(0, 5);
+    const tips = rng.shuffle(data.nutritionTips || []).slice(0, 2);
 
     const totalDuration = stretches.reduce((sum, s) => sum + s.duration, 0);
 
@@ -928,7 +2482,8 @@ app.get('/cooldown', (req, res) => {
             nutritionTips: tips
         },
         totalDuration: `${Math.floor(totalDuration / 60)}:${String(totalDuration % 60).padStart(2, '0')} min`,
-        message: "Great workout! Remember to hydrate and refuel."
+        message: "Great workout! Remember to hydrate and refuel.",
+        seed: rng.seed
     });
 });
 
@@ -941,41 +2496,40 @@ app.get('/health', (req, res) => {
 app.get('/api', (req, res) => {
     res.json({
         message: 'Welcome to the Workout Generator API',
-        version: '5.0.0',
+        version: API_VERSION,
         documentation: '/',
-        totalExercises: getAllExercises().length,
-        customExercises: customExercises.length,
-        muscleGroups: ['chest', 'back', 'legs', 'shoulders', 'arms', 'core'],
-        endpoints: {
-            core: {
-                exercises: 'GET /exercises',
-                exerciseById: 'GET /exercise/:id',
-                randomExercise: 'GET /random-exercise',
-                muscles: 'GET /muscles'
-            },
-            workouts: {
-                generateWorkout: 'GET /generate-workout',
-                workoutPlan: 'GET /workout-plan',
-                superset: 'GET /superset',
-                hiit: 'GET /hiit',
-                warmUp: 'GET /warm-up'
-            },
-            user: {
-                favorites: 'GET /favorites',
-                addFavorite: 'POST /favorites/:id',
-                removeFavorite: 'DELETE /favorites/:id',
-                addExercise: 'POST /exercises',
-                deleteExercise: 'DELETE /exercises/:id'
-            },
-            meta: {
-                stats: 'GET /stats',
-                health: 'GET /health'
-            }
-        }
+        openapi: '/openapi.json',
+        totalExercises: getAllExercises(req.user.id).length,
+        customExercises: store.getCustomExercises(req.user.id).length,
+        muscleGroups: validMuscles,
+        endpoints: endpointIndex(spec)
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🏋️ Workout Generator API running on http://localhost:${PORT}`);
+// OpenAPI 3.1 description of every route, also used to validate requests
+app.get('/openapi.json', (req, res) => {
+    res.json(spec);
+});
+
+// Unknown routes
+app.use((req, res) => {
+    sendError(res, 404, `Cannot ${req.method} ${req.path}`);
+});
+
+// Errors thrown by handlers or middleware (e.g. malformed JSON bodies)
+app.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) {
+        console.error(err);
+    }
+    sendError(res, status, status >= 500 ? 'Internal server error' : err.message);
 });
+
+// Start server (tests require the app and listen on their own port)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🏋️ Workout Generator API running on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = app;
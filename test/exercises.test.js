@@ -0,0 +1,47 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let api;
+
+before(async () => {
+    delete process.env.API_KEY;
+    api = await startServer();
+});
+
+after(() => api.close());
+
+const exercise = fields => ({ name: 'Ring Row', muscle: 'back', difficulty: 'beginner', ...fields });
+
+test('POST /exercises reports schema and reps problems in the same shape', async () => {
+    const range = await api.request('POST', '/exercises', { body: exercise({ sets: 11 }) });
+    const reps = await api.request('POST', '/exercises', { body: exercise({ reps: 'lots' }) });
+
+    assert.equal(range.status, 400);
+    assert.deepEqual(range.body.details.errors, [{ in: 'body', name: 'sets', message: 'sets must be at most 10' }]);
+    assert.equal(reps.status, 400);
+    assert.equal(reps.body.error, range.body.error);
+    assert.equal(reps.body.details.errors[0].name, 'reps');
+});
+
+test('import rows are checked against the POST /exercises schema', async () => {
+    const csv = 'name,muscle,difficulty,sets,reps\nA,chest,beginner,abc,10\nB,legs,hard,3,10\nC,core,beginner,3,x\nD,arms,beginner,3,12';
+    const { status, body } = await api.request('POST', '/exercises/import?dryRun=true', {
+        headers: { 'Content-Type': 'text/csv' },
+        raw: csv
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.rows.map(row => row.errors || row.action), [
+        ['sets must be an integer'],
+        ['difficulty must be one of: beginner, intermediate, advanced'],
+        ['reps must be a positive integer or a string such as "8-12" or "30 seconds"'],
+        'create'
+    ]);
+});
+
+test('GET /exercises refuses page numbers past the maximum', async () => {
+    const { status, body } = await api.request('GET', '/exercises?page=1000000000000000000000');
+    assert.equal(status, 400);
+    assert.equal(body.details.errors[0].name, 'page');
+});
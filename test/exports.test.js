@@ -0,0 +1,18 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { planToICalendar } = require('../lib/exports');
+
+const uidsOf = ics => ics.split('\r\n').filter(line => line.startsWith('UID:'));
+
+const planWith = exercise => [
+    { day: 'Monday', type: 'Full Body', exercises: [{ id: exercise.id, name: exercise.name, sets: 3, reps: '10' }] }
+];
+
+test('plans on the same dates get different event UIDs', () => {
+    const options = { start: new Date('2026-11-02'), weeks: 1, name: 'Full Body' };
+    const squats = planToICalendar(planWith({ id: 15, name: 'Squats' }), options);
+    const lunges = planToICalendar(planWith({ id: 16, name: 'Lunges' }), options);
+
+    assert.notDeepEqual(uidsOf(squats), uidsOf(lunges));
+    assert.deepEqual(uidsOf(squats), uidsOf(planToICalendar(planWith({ id: 15, name: 'Squats' }), options)));
+});
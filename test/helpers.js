@@ -0,0 +1,31 @@
+/**
+ * Test helpers: start the app on a free port and call it with fetch
+ */
+const app = require('../server');
+
+/**
+ * Start the app; returns { request(method, path, { body, raw, headers }), close() }
+ * body is sent as JSON, raw as is; request resolves to { status, body } with
+ * the parsed JSON body
+ */
+function startServer() {
+    return new Promise(resolve => {
+        const server = app.listen(0, () => {
+            const base = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                async request(method, path, { body, raw, headers = {} } = {}) {
+                    const res = await fetch(base + path, {
+                        method,
+                        headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+                        body: body === undefined ? raw : JSON.stringify(body)
+                    });
+                    const text = await res.text();
+                    return { status: res.status, body: text ? JSON.parse(text) : null };
+                },
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startServer };
@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLiveSessions } = require('../lib/live');
+const { startServer } = require('./helpers');
+
+let api;
+
+before(async () => {
+    delete process.env.API_KEY;
+    api = await startServer();
+});
+
+after(() => api.close());
+
+const hiitWith = circuit => ({
+    source: 'hiit',
+    workout: { timeline: [{ phase: 'work', seconds: 10, circuit }] }
+});
+
+test('a hiit circuit that is not an array is a 400 naming the segment', async () => {
+    for (const circuit of [{}, 'squats']) {
+        const { status, body } = await api.request('POST', '/live-sessions', { body: hiitWith(circuit) });
+        assert.equal(status, 400);
+        assert.deepEqual(body.details.errors, ['workout.timeline[0].circuit must be an array of exercises']);
+    }
+});
+
+test('a hiit workout from GET /hiit starts a session', async () => {
+    const workout = await api.request('GET', '/hiit?type=tabata&count=2');
+    const { status, body } = await api.request('POST', '/live-sessions', { body: { source: 'hiit', workout: workout.body } });
+    assert.equal(status, 201);
+    assert.equal(body.session.state, 'ready');
+
+    await api.request('POST', `/live-sessions/${body.session.id}/control`, { body: { action: 'stop' } });
+});
+
+test('a history save that fails is reported as save-failed, then done', async t => {
+    t.mock.method(console, 'error', () => {});
+    const sessions = createLiveSessions({
+        tickMs: 5,
+        onFinish: () => {
+            throw new Error('disk full');
+        }
+    });
+    const session = sessions.create({
+        userId: 1,
+        source: 'hiit',
+        segments: [{ phase: 'work', seconds: 2, label: 'Squats', exercises: [{ id: 1, name: 'Squats' }], met: 5 }],
+        bodyWeight: { bodyWeightKg: 70 }
+    });
+
+    const events = [];
+    const closed = new Promise(resolve => session.subscribe({ send: event => events.push(event), close: resolve }));
+    session.control('start');
+    await closed;
+
+    assert.ok(!events.includes('error'));
+    assert.deepEqual(events.slice(-2), ['save-failed', 'done']);
+    assert.equal(session.snapshot().historyId, null);
+});
@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const data = require('../data.json');
+const { splitTemplates, buildWeeklyPlan } = require('../lib/plans');
+const { tagsOf } = require('../lib/tags');
+const { createRandom } = require('../lib/random');
+
+test('push and pull days of the ppl split only get exercises of that force', () => {
+    for (let seed = 1; seed <= 20; seed++) {
+        const plan = buildWeeklyPlan({ split: splitTemplates.ppl, days: 3, exercises: data.exercises, rng: createRandom(seed) });
+        const forcesOf = type => plan.find(day => day.type === type).exercises.map(ex => tagsOf(ex).force);
+
+        assert.ok(forcesOf('Push Day').every(force => force === 'push'));
+        assert.ok(forcesOf('Pull Day').every(force => force === 'pull'));
+    }
+});
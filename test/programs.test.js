@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildProgram } = require('../lib/programs');
+
+const weeklyPlan = [
+    {
+        day: 'Monday',
+        type: 'Bodyweight',
+        exercises: [
+            { id: 1, name: 'Push-ups', muscle: 'chest', equipment: 'none', sets: 3, reps: '10-12' },
+            { id: 2, name: 'Plank', muscle: 'core', equipment: 'none', sets: 3, reps: '30-60 sec' }
+        ]
+    },
+    { day: 'Tuesday', type: 'Rest', exercises: [] }
+];
+
+const repsByWeek = (program, name) => program.map(week =>
+    week.days[0].exercises.find(ex => ex.name === name).reps);
+
+test('bodyweight-only programs progress reps and holds each loading week', () => {
+    const program = buildProgram({ weeklyPlan, weeks: 8, periodization: 'linear', deloadEvery: 4, difficulty: 'beginner' });
+
+    assert.deepEqual(repsByWeek(program, 'Push-ups'), ['10-12', '11-13', '12-14', '10-12', '13-16', '14-17', '15-18', '10-12']);
+    assert.deepEqual(repsByWeek(program, 'Plank'), ['30-60 sec', '33-66 sec', '36-72 sec', '30-60 sec', '39-78 sec', '42-84 sec', '45-90 sec', '30-60 sec']);
+    program.forEach(week => assert.equal(week.days[0].exercises[0].intensity, null));
+});
+
+test('unloaded progression is capped at half again the catalog reps', () => {
+    const program = buildProgram({ weeklyPlan, weeks: 12, periodization: 'undulating', deloadEvery: 0, difficulty: 'advanced' });
+
+    assert.equal(repsByWeek(program, 'Push-ups').at(-1), '15-18');
+});
@@ -0,0 +1,38 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let api;
+
+before(async () => {
+    delete process.env.API_KEY;
+    process.env.ADMIN_KEY = 'test-admin-key';
+    api = await startServer();
+});
+
+after(() => api.close());
+
+test('self-service signups get the free plan', async () => {
+    const { status, body } = await api.request('POST', '/users', { body: { name: 'signup' } });
+    assert.equal(status, 201);
+
+    const me = await api.request('GET', '/users/me', { headers: { 'X-API-Key': body.apiKey } });
+    assert.equal(me.body.plan, 'free');
+});
+
+test('an anonymous caller cannot choose a plan', async () => {
+    const { status, body } = await api.request('POST', '/users', { body: { name: 'greedy', plan: 'unlimited' } });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'forbidden');
+});
+
+test('the admin key may choose a plan', async () => {
+    const { status, body } = await api.request('POST', '/users', {
+        body: { name: 'partner', plan: 'pro' },
+        headers: { 'X-Admin-Key': 'test-admin-key' }
+    });
+    assert.equal(status, 201);
+
+    const me = await api.request('GET', '/users/me', { headers: { 'X-API-Key': body.apiKey } });
+    assert.equal(me.body.plan, 'pro');
+});